@@ -2,6 +2,7 @@ const TelegramBot = require('node-telegram-bot-api');
 const express = require('express');
 const axios = require('axios');
 const cron = require('node-cron');
+const crypto = require('crypto');
 require('dotenv').config();
 
 // Import handlers
@@ -9,6 +10,17 @@ const {
   handleStart,
   handleSelect,
   handleInterval,
+  handleThreshold,
+  handleRise,
+  handleTarget,
+  handleTimezone,
+  handleQuiet,
+  handleBuyHold,
+  handleAlertSources,
+  handleKOLFilters,
+  handlePlan,
+  handleSetPlan,
+  handleSetQuota,
   handleMyTokens,
   handleAddToken,
   handleCancel,
@@ -16,13 +28,12 @@ const {
   handleAdmin,
   handleWinners,
   handleTokenAddress,
-  handleBTC,
-  handleETH,
-  handleBNB,
-  handleSOL,
+  handlePrice,
+  handleAddCoin,
   handleKOL,
   handleTrackKOL,
   handleUntrackKOL,
+  handleTrackWallet,
   handleLeaderboardSync,
   handleLeaderboard
 } = require('./handlers/commands');
@@ -32,6 +43,7 @@ const { handleCallbackQuery } = require('./handlers/callbacks');
 // Import services
 const { initializeSchedules, getScheduledJobs } = require('./services/scheduler');
 const { checkPriceDrops } = require('./services/alerts');
+const { initializeTokenRegistry } = require('./services/tokenRegistry');
 const { getAllTokenPrices } = require('./utils/api');
 const { loadPriceHistory, savePriceHistory } = require('./utils/storage');
 const { TOKENS } = require('./config/tokens');
@@ -50,24 +62,35 @@ const bot = new TelegramBot(token, { polling: true });
 bot.onText(/\/start/, (msg) => handleStart(bot, msg));
 bot.onText(/\/select/, (msg) => handleSelect(bot, msg));
 bot.onText(/\/interval/, (msg) => handleInterval(bot, msg));
+bot.onText(/\/threshold/, (msg) => handleThreshold(bot, msg));
+bot.onText(/\/rise/, (msg) => handleRise(bot, msg));
+bot.onText(/\/target/, (msg) => handleTarget(bot, msg));
+bot.onText(/\/timezone/, (msg) => handleTimezone(bot, msg));
+bot.onText(/\/quiet/, (msg) => handleQuiet(bot, msg));
 bot.onText(/\/mytokens/, (msg) => handleMyTokens(bot, msg));
 bot.onText(/\/addtoken/, (msg) => handleAddToken(bot, msg));
 bot.onText(/\/cancel/, (msg) => handleCancel(bot, msg));
 bot.onText(/\/stop/, (msg) => handleStop(bot, msg));
 bot.onText(/\/admin/, (msg) => handleAdmin(bot, msg));
+bot.onText(/\/plan$/, (msg) => handlePlan(bot, msg));
+bot.onText(/\/setplan/, (msg) => handleSetPlan(bot, msg));
+bot.onText(/\/setquota/, (msg) => handleSetQuota(bot, msg));
 
 // Live price commands
-bot.onText(/\/btc$/i, (msg) => handleBTC(bot, msg));
-bot.onText(/\/eth$/i, (msg) => handleETH(bot, msg));
-bot.onText(/\/bnb$/i, (msg) => handleBNB(bot, msg));
-bot.onText(/\/sol$/i, (msg) => handleSOL(bot, msg));
+bot.onText(/\/price/i, (msg) => handlePrice(bot, msg));
+bot.onText(/\/addcoin/i, (msg) => handleAddCoin(bot, msg));
 
 // KOL commands
 bot.onText(/\/kol/i, (msg) => handleKOL(bot, msg));
 bot.onText(/\/trackkol/i, (msg) => handleTrackKOL(bot, msg));
 bot.onText(/\/untrackkol/i, (msg) => handleUntrackKOL(bot, msg));
+bot.onText(/^\/trackwallet(?:@\w+)?(?:\s|$)/i, (msg) => handleTrackWallet(bot, msg));
+bot.onText(/^\/untrackwallet(?:@\w+)?(?:\s|$)/i, (msg) => handleUntrackKOL(bot, msg));
 bot.onText(/\/syncleaderboard/i, (msg) => handleLeaderboardSync(bot, msg));
 bot.onText(/\/leaderboard/i, (msg) => handleLeaderboard(bot, msg));
+bot.onText(/\/buyhold/i, (msg) => handleBuyHold(bot, msg));
+bot.onText(/\/alertsources/i, (msg) => handleAlertSources(bot, msg));
+bot.onText(/\/filters/i, (msg) => handleKOLFilters(bot, msg));
 
 // Handle callback queries (inline keyboard buttons)
 bot.on('callback_query', (query) => handleCallbackQuery(bot, query));
@@ -116,6 +139,37 @@ app.get('/health', (req, res) => {
   });
 });
 
+// KOL ingestion mode - webhooks need a shared secret, otherwise fall back to polling
+const { KOL_INGESTION_MODE, KOL_POLL_INTERVAL_SECONDS, KOL_BACKFILL_INTERVAL_MINUTES, HELIUS_WEBHOOK_AUTH } = require('./config/solana');
+let kolIngestionMode = ['webhook', 'stream'].includes(KOL_INGESTION_MODE) ? KOL_INGESTION_MODE : 'polling';
+if (kolIngestionMode === 'webhook' && !HELIUS_WEBHOOK_AUTH) {
+  console.warn('⚠️ KOL_INGESTION_MODE=webhook but HELIUS_WEBHOOK_AUTH is not set - falling back to polling');
+  kolIngestionMode = 'polling';
+}
+
+// Constant-time comparison of the Authorization header against the configured secret
+function isValidWebhookAuth(header) {
+  if (!header || !HELIUS_WEBHOOK_AUTH) return false;
+  const received = Buffer.from(header);
+  const expected = Buffer.from(HELIUS_WEBHOOK_AUTH);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// Helius enhanced-transaction webhook for KOL wallets
+if (kolIngestionMode === 'webhook') {
+  const { handleHeliusWebhook } = require('./services/kolMonitor');
+  app.post('/webhooks/helius', express.json({ limit: '5mb' }), (req, res) => {
+    if (!isValidWebhookAuth(req.get('authorization'))) {
+      console.warn('⚠️ Rejected Helius webhook with invalid Authorization header');
+      return res.status(401).json({ error: 'unauthorized' });
+    }
+    
+    // Acknowledge immediately so Helius doesn't retry while alerts are processed
+    res.json({ received: true });
+    handleHeliusWebhook(bot, req.body).catch(err => console.error('Error handling Helius webhook:', err));
+  });
+}
+
 app.listen(PORT, () => {
   console.log(`Health check server running on port ${PORT}`);
 });
@@ -187,6 +241,9 @@ if (process.env.ENABLE_KEEP_ALIVE !== 'false') {
 
 // Initialize price history for all tokens on startup
 async function initializePriceHistory() {
+  // Coins added with /addcoin need to be in TOKENS before the first price fetch
+  await initializeTokenRegistry();
+  
   const priceHistory = await loadPriceHistory();
   let needsUpdate = false;
   
@@ -235,6 +292,16 @@ cron.schedule('*/30 * * * *', async () => {
   await checkBoostsForAllTokens(bot);
 });
 
+// Send morning digests to users whose quiet hours just ended (runs every 5 minutes)
+const { sendDueDigests } = require('./services/quietHours');
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    await sendDueDigests(bot);
+  } catch (error) {
+    console.error('Error sending digests:', error.message);
+  }
+});
+
 // Schedule long-term token analysis (runs daily at 2 AM UTC)
 const { runLongTermAnalysis, getWinningTokens } = require('./utils/storage');
 cron.schedule('0 2 * * *', async () => {
@@ -273,15 +340,42 @@ cron.schedule('0 */4 * * *', async () => {
   }
 });
 
-// Schedule KOL transaction monitoring (runs every 30 seconds for fast KOLs)
+// Schedule KOL transaction monitoring
 // Using setInterval instead of cron for seconds-level precision
-const { checkKOLTransactions } = require('./services/kolMonitor');
-setInterval(async () => {
-  await checkKOLTransactions(bot);
-}, 30 * 1000); // 30 seconds
+const { checkKOLTransactions, processPendingBuyAlerts } = require('./services/kolMonitor');
+if (kolIngestionMode === 'webhook' || kolIngestionMode === 'stream') {
+  // Webhooks/the websocket deliver trades as they happen - poll only as a backfill for missed deliveries
+  if (kolIngestionMode === 'stream') {
+    const { startKOLStream } = require('./services/kolStream');
+    startKOLStream(bot);
+    console.log(`📡 KOL ingestion via RPC websocket (backfill polling every ${KOL_BACKFILL_INTERVAL_MINUTES} min)`);
+  } else {
+    console.log(`🪝 KOL ingestion via Helius webhooks (backfill polling every ${KOL_BACKFILL_INTERVAL_MINUTES} min)`);
+  }
+  setInterval(async () => {
+    await checkKOLTransactions(bot);
+  }, KOL_BACKFILL_INTERVAL_MINUTES * 60 * 1000);
+  
+  // Delayed buy alerts still need to go out on time between backfills
+  setInterval(async () => {
+    try {
+      await processPendingBuyAlerts(bot);
+    } catch (error) {
+      console.error('Error processing pending buy alerts:', error.message);
+    }
+  }, KOL_POLL_INTERVAL_SECONDS * 1000);
+} else {
+  // Runs every 30 seconds for fast KOLs
+  setInterval(async () => {
+    await checkKOLTransactions(bot);
+  }, KOL_POLL_INTERVAL_SECONDS * 1000);
+}
 
-// Also run immediately on startup
-checkKOLTransactions(bot).catch(err => console.error('Error in initial KOL check:', err));
+// Send buy alerts that came due while the bot was down, then run the first KOL check
+processPendingBuyAlerts(bot)
+  .catch(err => console.error('Error draining pending buy alerts on startup:', err))
+  .then(() => checkKOLTransactions(bot))
+  .catch(err => console.error('Error in initial KOL check:', err));
 
 // Initialize price history on startup
 initializePriceHistory();
@@ -297,6 +391,12 @@ process.on('SIGINT', async () => {
     } catch (e) {}
   });
   
+  // Close the KOL websocket (no-op unless stream mode)
+  try {
+    const { stopKOLStream } = require('./services/kolStream');
+    stopKOLStream();
+  } catch (e) {}
+  
   // Close database connection
   try {
     const { closeDatabase } = require('./utils/database');
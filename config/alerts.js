@@ -0,0 +1,108 @@
+// Alert cooldown / de-duplication rules per alert type
+// cooldownMinutes: minimum time between two alerts of the same (chat, token, type)
+// escalationPercent: while an alert is active, only re-alert if the price moved another N%
+//   beyond the price of the last alert (null = use the user's threshold for that token)
+// resolvePercent: drop/rise alerts resolve once the price is back within N% of the pre-move price
+// resolveMessage: send a "resolved" message when that happens
+// expireHours: active alerts older than this are forgotten (the next alert counts as new)
+const ALERT_RULES = {
+  drop: {
+    cooldownMinutes: 15,
+    escalationPercent: null,
+    resolvePercent: 1,
+    resolveMessage: true,
+    expireHours: 24
+  },
+  rise: {
+    cooldownMinutes: 15,
+    escalationPercent: null,
+    resolvePercent: 1,
+    resolveMessage: false,
+    expireHours: 24
+  },
+  boost: {
+    cooldownMinutes: 6 * 60,
+    expireHours: 24
+  },
+  kol_buy: {
+    cooldownMinutes: 3,
+    expireHours: 1
+  },
+  kol_sell: {
+    cooldownMinutes: 3,
+    expireHours: 1
+  }
+};
+
+// Fallback for alert types without their own rule
+const DEFAULT_ALERT_RULE = {
+  cooldownMinutes: 15,
+  expireHours: 24
+};
+
+// Timezone used for users who haven't set their own (IANA name)
+const DEFAULT_TIMEZONE = 'Europe/Athens';
+
+// Alert types that are always delivered, even during quiet hours
+// Everything else is queued into the morning digest
+const CRITICAL_ALERT_TYPES = ['drop', 'target'];
+
+// Quiet hours presets offered in the /quiet keyboard (minutes since local midnight)
+const QUIET_HOURS_PRESETS = [
+  { start: 22 * 60, end: 7 * 60 },
+  { start: 23 * 60, end: 7 * 60 },
+  { start: 23 * 60, end: 8 * 60 },
+  { start: 0, end: 8 * 60 }
+];
+
+// Maximum number of items listed in a single digest message
+const MAX_DIGEST_ITEMS = 40;
+
+// KOL buy alerts are held back this long (seconds) so an instant flip shows up as buy + sell in one alert
+// Users pick their own with /buyhold; 0 sends buys right away
+const DEFAULT_KOL_BUY_HOLD_SECONDS = 60;
+const KOL_BUY_HOLD_OPTIONS = [0, 30, 60, 120, 300];
+const MAX_KOL_BUY_HOLD_SECONDS = 15 * 60;
+
+// Reasons a user gets a KOL trade alert - each can be switched on or off in /alertsources
+// Only sources tied to the user's own KOLs and tokens are on by default; the market-wide ones are opt-in
+const KOL_ALERT_SOURCES = {
+  trackedKols: { label: 'KOLs I track', description: 'trades by KOLs you track', defaultOn: true },
+  heldTokens: { label: 'Tokens I hold', description: 'any KOL trading one of your Solana tokens', defaultOn: true },
+  convergence: { label: 'Multi-KOL convergence', description: 'a buy in a token 2+ KOLs are in', defaultOn: false },
+  goodToken: { label: 'Good token pattern', description: 'tokens several KOLs bought and kept holding', defaultOn: false }
+};
+
+// KOL alert filters (/filters) - set globally or per tracked KOL (a KOL's own filters replace the global ones)
+// side: 'both', 'buys' or 'sells'; market caps in USD, null = no limit
+const DEFAULT_KOL_FILTERS = {
+  minSol: 0,
+  side: 'both',
+  firstBuyOnly: false,
+  excludeInstantFlips: false,
+  minMarketCap: null,
+  maxMarketCap: null,
+  excludeFarming: false
+};
+
+// Values the /filters buttons cycle through
+const KOL_FILTER_MIN_SOL_OPTIONS = [0, 0.1, 0.5, 1, 2, 5, 10];
+const KOL_FILTER_MIN_MCAP_OPTIONS = [null, 10000, 50000, 100000, 500000, 1000000];
+const KOL_FILTER_MAX_MCAP_OPTIONS = [null, 100000, 500000, 1000000, 10000000, 100000000];
+
+module.exports = {
+  ALERT_RULES,
+  DEFAULT_ALERT_RULE,
+  DEFAULT_TIMEZONE,
+  CRITICAL_ALERT_TYPES,
+  QUIET_HOURS_PRESETS,
+  MAX_DIGEST_ITEMS,
+  DEFAULT_KOL_BUY_HOLD_SECONDS,
+  KOL_BUY_HOLD_OPTIONS,
+  MAX_KOL_BUY_HOLD_SECONDS,
+  KOL_ALERT_SOURCES,
+  DEFAULT_KOL_FILTERS,
+  KOL_FILTER_MIN_SOL_OPTIONS,
+  KOL_FILTER_MIN_MCAP_OPTIONS,
+  KOL_FILTER_MAX_MCAP_OPTIONS
+};
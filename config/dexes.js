@@ -0,0 +1,16 @@
+// Solana swap venues, keyed by program id
+// aggregator: the program routes through other venues - the route is read from its inner instructions
+const DEX_PROGRAMS = {
+  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P': { venue: 'pumpfun', label: 'pump.fun' },
+  'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA': { venue: 'pumpswap', label: 'PumpSwap' },
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': { venue: 'raydium_amm', label: 'Raydium AMM' },
+  'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK': { venue: 'raydium_clmm', label: 'Raydium CLMM' },
+  'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C': { venue: 'raydium_cpmm', label: 'Raydium CPMM' },
+  'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo': { venue: 'meteora_dlmm', label: 'Meteora DLMM' },
+  'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc': { venue: 'orca_whirlpool', label: 'Orca Whirlpool' },
+  'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUJoi5QNyVTaV4': { venue: 'jupiter', label: 'Jupiter', aggregator: true }
+};
+
+module.exports = {
+  DEX_PROGRAMS
+};
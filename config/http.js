@@ -0,0 +1,40 @@
+// Outbound HTTP limits per host (token buckets)
+// ratePerSecond: sustained rate, burst: how many requests can go out back to back
+// Based on each API's documented public / free-tier limits, with some headroom
+const HOST_RATE_LIMITS = {
+  'api.coingecko.com': { ratePerSecond: 0.4, burst: 5 },        // ~30/min
+  'api.freecryptoapi.com': { ratePerSecond: 5, burst: 5 },
+  'api.binance.com': { ratePerSecond: 10, burst: 20 },
+  'api.geckoterminal.com': { ratePerSecond: 0.4, burst: 5 },    // 30/min
+  'api.dexscreener.com': { ratePerSecond: 1, burst: 5 },        // 60/min on /orders
+  'lite-api.jup.ag': { ratePerSecond: 1, burst: 5 },            // 60/min
+  'frontend-api-v3.pump.fun': { ratePerSecond: 2, burst: 5 },
+  'swap-api.pump.fun': { ratePerSecond: 2, burst: 5 },
+  'api-mainnet.helius-rpc.com': { ratePerSecond: 2, burst: 5 },
+  'mainnet.helius-rpc.com': { ratePerSecond: 10, burst: 10 },
+  'api.solscan.io': { ratePerSecond: 1, burst: 3 },
+  'kolscan.io': { ratePerSecond: 0.5, burst: 2 }
+};
+
+// Used for any host not listed above
+const DEFAULT_HOST_RATE_LIMIT = { ratePerSecond: 2, burst: 5 };
+
+// Retries for 429s, 5xx and network errors (exponential backoff, Retry-After wins if present)
+const HTTP_MAX_RETRIES = 3;
+const HTTP_BACKOFF_BASE_MS = 500;
+const HTTP_BACKOFF_MAX_MS = 30 * 1000;
+
+// A host's circuit opens after this many failed requests in a row (after retries)
+// and rejects calls straight away for CIRCUIT_OPEN_SECONDS, then lets one trial request through
+const CIRCUIT_FAILURE_THRESHOLD = 5;
+const CIRCUIT_OPEN_SECONDS = 60;
+
+module.exports = {
+  HOST_RATE_LIMITS,
+  DEFAULT_HOST_RATE_LIMIT,
+  HTTP_MAX_RETRIES,
+  HTTP_BACKOFF_BASE_MS,
+  HTTP_BACKOFF_MAX_MS,
+  CIRCUIT_FAILURE_THRESHOLD,
+  CIRCUIT_OPEN_SECONDS
+};
@@ -334,8 +334,12 @@ for (const [address, names] of Object.entries(KOL_ADDRESSES)) {
   });
 }
 
+// Longest private label for a wallet added with /trackwallet
+const MAX_WALLET_LABEL_LENGTH = 32;
+
 module.exports = {
   KOL_ADDRESSES,
-  KOL_NAME_TO_ADDRESS
+  KOL_NAME_TO_ADDRESS,
+  MAX_WALLET_LABEL_LENGTH
 };
 
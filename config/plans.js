@@ -0,0 +1,34 @@
+// Subscription plans and what each one allows
+// Per-user overrides (set by the admin with /setquota) take precedence over the plan
+const PLANS = {
+  free: {
+    name: 'Free',
+    mainTokens: 1,
+    solanaTokens: 1,
+    kols: 2,
+    targets: 10
+  },
+  pro: {
+    name: 'Pro',
+    mainTokens: 4,
+    solanaTokens: 10,
+    kols: 10,
+    targets: 50
+  }
+};
+
+const DEFAULT_PLAN = 'free';
+
+// Human readable names for each quota (singular, plural)
+const QUOTA_LABELS = {
+  mainTokens: ['main token', 'main tokens'],
+  solanaTokens: ['Solana token', 'Solana tokens'],
+  kols: ['KOL', 'KOLs'],
+  targets: ['price target', 'price targets']
+};
+
+module.exports = {
+  PLANS,
+  DEFAULT_PLAN,
+  QUOTA_LABELS
+};
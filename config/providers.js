@@ -0,0 +1,19 @@
+// Price providers, in order of preference
+// The first healthy provider is used, the next ones are tried if it fails or misses a token
+// Override with a comma-separated list in MAIN_PRICE_PROVIDERS / SOLANA_PRICE_PROVIDERS
+const MAIN_PRICE_PROVIDERS = (process.env.MAIN_PRICE_PROVIDERS || 'freecryptoapi,coingecko,binance')
+  .split(',').map(name => name.trim()).filter(Boolean);
+
+const SOLANA_PRICE_PROVIDERS = (process.env.SOLANA_PRICE_PROVIDERS || 'geckoterminal,dexscreener,jupiter')
+  .split(',').map(name => name.trim()).filter(Boolean);
+
+// A provider is skipped for PROVIDER_COOLDOWN_MINUTES after this many failures in a row
+const PROVIDER_FAILURE_THRESHOLD = 3;
+const PROVIDER_COOLDOWN_MINUTES = 5;
+
+module.exports = {
+  MAIN_PRICE_PROVIDERS,
+  SOLANA_PRICE_PROVIDERS,
+  PROVIDER_FAILURE_THRESHOLD,
+  PROVIDER_COOLDOWN_MINUTES
+};
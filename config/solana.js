@@ -0,0 +1,75 @@
+// Solana RPC / Helius settings
+const HELIUS_API_KEY = process.env.HELIUS_API_KEY || '2238f591-e4cf-4e28-919a-6e7164a9d0ad';
+const HELIUS_BASE_URL = 'https://api-mainnet.helius-rpc.com';
+
+// JSON-RPC endpoint (defaults to Helius mainnet RPC)
+const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || `https://mainnet.helius-rpc.com/?api-key=${HELIUS_API_KEY}`;
+
+// Wrapped SOL and the stablecoins KOLs quote in - never reported as the traded token
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+const STABLECOIN_MINTS = [
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB' // USDT
+];
+
+// Every pump.fun token is minted with 1B supply and 6 decimals
+const PUMP_FUN_TOKEN_SUPPLY = 1e9;
+const PUMP_FUN_TOKEN_DECIMALS = 6;
+
+// How long a mint's supply from getTokenSupply is trusted (supply only changes on mint/burn)
+const TOKEN_SUPPLY_CACHE_HOURS = 6;
+
+// How KOL transactions are ingested:
+// 'polling' - fetch each tracked KOL's history every KOL_POLL_INTERVAL_SECONDS
+// 'webhook' - Helius pushes enhanced transactions to POST /webhooks/helius
+// 'stream'  - logsSubscribe over the RPC websocket, fetching each confirmed signature as it lands
+// In webhook and stream mode polling only runs as a backfill every KOL_BACKFILL_INTERVAL_MINUTES
+const KOL_INGESTION_MODE = (process.env.KOL_INGESTION_MODE || 'polling').toLowerCase();
+const KOL_POLL_INTERVAL_SECONDS = 30;
+const KOL_BACKFILL_INTERVAL_MINUTES = parseInt(process.env.KOL_BACKFILL_INTERVAL_MINUTES, 10) || 5;
+
+// RPC websocket for stream mode (defaults to the Helius mainnet websocket with HELIUS_API_KEY)
+const SOLANA_WS_URL = process.env.SOLANA_WS_URL || `wss://mainnet.helius-rpc.com/?api-key=${HELIUS_API_KEY}`;
+// How often the subscriptions are reconciled with users' tracked KOLs
+const KOL_STREAM_SYNC_SECONDS = 15;
+// Reconnect backoff: doubles from the base up to the max after each failed connection
+const KOL_STREAM_RECONNECT_BASE_MS = 1000;
+const KOL_STREAM_RECONNECT_MAX_MS = 60000;
+// Signatures arriving within this window are fetched together
+const KOL_STREAM_BATCH_MS = 1500;
+
+// Transactions per Helius history page, and how many pages to walk back looking for the last processed signature
+const KOL_HISTORY_PAGE_SIZE = 50;
+const KOL_BACKFILL_MAX_PAGES = parseInt(process.env.KOL_BACKFILL_MAX_PAGES, 10) || 10;
+// Trades older than this still update balances and PnL but don't alert - a backfill after downtime
+// shouldn't replay hours-old trades as new ones
+const KOL_ALERT_MAX_AGE_MINUTES = parseInt(process.env.KOL_ALERT_MAX_AGE_MINUTES, 10) || 15;
+// Processed signatures (dedupe across webhook, stream and polling) are kept this long - far beyond what a backfill pages back to
+const KOL_PROCESSED_SIGNATURE_RETENTION_DAYS = parseInt(process.env.KOL_PROCESSED_SIGNATURE_RETENTION_DAYS, 10) || 7;
+
+// Value configured as the webhook's authHeader in Helius - sent back verbatim in the Authorization header
+const HELIUS_WEBHOOK_AUTH = process.env.HELIUS_WEBHOOK_AUTH || null;
+
+module.exports = {
+  HELIUS_API_KEY,
+  HELIUS_BASE_URL,
+  SOLANA_RPC_URL,
+  WSOL_MINT,
+  STABLECOIN_MINTS,
+  PUMP_FUN_TOKEN_SUPPLY,
+  PUMP_FUN_TOKEN_DECIMALS,
+  TOKEN_SUPPLY_CACHE_HOURS,
+  KOL_INGESTION_MODE,
+  KOL_POLL_INTERVAL_SECONDS,
+  KOL_BACKFILL_INTERVAL_MINUTES,
+  KOL_HISTORY_PAGE_SIZE,
+  SOLANA_WS_URL,
+  KOL_STREAM_SYNC_SECONDS,
+  KOL_STREAM_RECONNECT_BASE_MS,
+  KOL_STREAM_RECONNECT_MAX_MS,
+  KOL_STREAM_BATCH_MS,
+  KOL_BACKFILL_MAX_PAGES,
+  KOL_ALERT_MAX_AGE_MINUTES,
+  KOL_PROCESSED_SIGNATURE_RETENTION_DAYS,
+  HELIUS_WEBHOOK_AUTH
+};
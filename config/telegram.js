@@ -0,0 +1,17 @@
+// Telegram Bot API delivery limits
+// Telegram allows ~30 messages/s across all chats and ~1 message/s per chat
+const TELEGRAM_GLOBAL_RATE_PER_SECOND = 30;
+const TELEGRAM_PER_CHAT_INTERVAL_MS = 1000;
+
+// Retries for 429 (Too Many Requests), waiting the retry_after Telegram sends back
+const TELEGRAM_MAX_RETRIES = 3;
+
+// Delivery lanes, highest priority first - instant alerts go out ahead of periodic updates
+const DELIVERY_PRIORITIES = ['alert', 'update'];
+
+module.exports = {
+  TELEGRAM_GLOBAL_RATE_PER_SECOND,
+  TELEGRAM_PER_CHAT_INTERVAL_MS,
+  TELEGRAM_MAX_RETRIES,
+  DELIVERY_PRIORITIES
+};
@@ -9,8 +9,52 @@ const TOKENS = {
 // Valid intervals (in minutes)
 const VALID_INTERVALS = [1, 2, 5, 10, 15, 30, 60];
 
+// How periodic updates are delivered:
+// 'separate' - one message per token, 'digest' - one consolidated message per tick,
+// 'live' - one pinned message edited in place every tick
+const UPDATE_MODES = ['separate', 'digest', 'live'];
+const DEFAULT_UPDATE_MODE = 'separate';
+
+// Re-post the live board after this long (old messages can't always be edited)
+const LIVE_BOARD_MAX_AGE_HOURS = 47;
+
+// Default drop alert thresholds (in %) when the user hasn't set their own
+const DEFAULT_DROP_THRESHOLDS = {
+  main: 5, // BTC, ETH, BNB, SOL
+  solana: 20 // Custom Solana tokens are more volatile
+};
+
+// Default rise alert thresholds (in %) when the user hasn't set their own
+const DEFAULT_RISE_THRESHOLDS = {
+  main: 5, // BTC, ETH, BNB, SOL
+  solana: 20 // Custom Solana tokens are more volatile
+};
+
+// Drop threshold choices offered in the inline keyboard (in %)
+const DROP_THRESHOLD_OPTIONS = [3, 5, 10, 15, 20, 25, 35, 50];
+
+// Rise threshold choices offered in the inline keyboard (in %)
+const RISE_THRESHOLD_OPTIONS = [3, 5, 10, 20, 30, 50, 75, 100];
+
+// Windows that drop / rise alerts look back over (price now vs. price at the window start)
+// The shortest window that reaches the user's threshold is reported in the alert
+const ALERT_WINDOWS = [
+  { label: '5m', minutes: 5 },
+  { label: '15m', minutes: 15 },
+  { label: '1h', minutes: 60 },
+  { label: '4h', minutes: 240 }
+];
+
 module.exports = {
   TOKENS,
-  VALID_INTERVALS
+  VALID_INTERVALS,
+  UPDATE_MODES,
+  DEFAULT_UPDATE_MODE,
+  LIVE_BOARD_MAX_AGE_HOURS,
+  DEFAULT_DROP_THRESHOLDS,
+  DEFAULT_RISE_THRESHOLDS,
+  DROP_THRESHOLD_OPTIONS,
+  RISE_THRESHOLD_OPTIONS,
+  ALERT_WINDOWS
 };
 
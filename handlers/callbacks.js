@@ -1,8 +1,14 @@
-const { TOKENS, VALID_INTERVALS } = require('../config/tokens');
-const { getUserPreferences, updateUserPreferences, loadUsers, saveUsers, setTempFlag, clearTempFlag } = require('../utils/storage');
+const { TOKENS, VALID_INTERVALS, UPDATE_MODES } = require('../config/tokens');
+const { getUserPreferences, updateUserPreferences, loadUsers, saveUsers, setTempFlag, clearTempFlag, loadPriceTargets, updatePriceTarget, deletePriceTarget } = require('../utils/storage');
 const { scheduleUserUpdates } = require('../services/scheduler');
-const { handleStart, sendKOLListPage } = require('./commands');
-const { KOL_ADDRESSES } = require('../config/kol');
+const { sendPriceUpdate, sendCustomTokenUpdate, sendLiveBoard, stopLiveBoard } = require('../services/priceUpdates');
+const { handleStart, sendKOLListPage, buildThresholdMenu, buildThresholdOptions, buildTargetList, buildQuietHoursMenu, buildBuyHoldMenu, buildAlertSourcesMenu, buildKOLFiltersMenu, buildKOLFilterScopeMenu, buildUpdateModeButton, buildMainTokenKeyboard } = require('./commands');
+const { KOL_BUY_HOLD_OPTIONS, KOL_ALERT_SOURCES, KOL_FILTER_MIN_SOL_OPTIONS, KOL_FILTER_MIN_MCAP_OPTIONS, KOL_FILTER_MAX_MCAP_OPTIONS } = require('../config/alerts');
+const { getKOLAlertSources } = require('../services/kolSubscriptions');
+const { getKOLFilters } = require('../services/kolFilters');
+const { getWalletName } = require('../services/kolMonitor');
+const { isValidSolanaAddress } = require('../utils/solanaAddress');
+const { checkQuota, getQuota, formatQuotaReachedMessage } = require('../services/plans');
 
 // Handle callback queries (inline keyboard buttons)
 async function handleCallbackQuery(bot, query) {
@@ -38,9 +44,268 @@ async function handleCallbackQuery(bot, query) {
     // Refresh menu
     await handleStart(bot, { chat: { id: chatId } });
     return;
+  } else if (data === 'menu_thresholds' || data === 'menu_rises') {
+    const kind = data === 'menu_rises' ? 'rise' : 'drop';
+    const userInfo = await getUserPreferences(chatId);
+    const prefs = { ...userInfo };
+    delete prefs.isNew;
+    const menu = buildThresholdMenu(prefs, kind);
+    await bot.editMessageText(menu.text, {
+      chat_id: chatId,
+      message_id: query.message.message_id,
+      reply_markup: menu.keyboard,
+      parse_mode: 'Markdown'
+    });
+    await bot.answerCallbackQuery(query.id);
+    return;
+  } else if (data.startsWith('drop_pick_') || data.startsWith('rise_pick_')) {
+    const kind = data.startsWith('rise_') ? 'rise' : 'drop';
+    const tokenKey = data.replace(`${kind}_pick_`, '');
+    const userInfo = await getUserPreferences(chatId);
+    const prefs = { ...userInfo };
+    delete prefs.isNew;
+    const options = buildThresholdOptions(prefs, kind, tokenKey);
+    if (!options) {
+      await bot.answerCallbackQuery(query.id, { text: 'Token is no longer tracked', show_alert: true });
+      return;
+    }
+    await bot.editMessageText(options.text, {
+      chat_id: chatId,
+      message_id: query.message.message_id,
+      reply_markup: options.keyboard,
+      parse_mode: 'Markdown'
+    });
+    await bot.answerCallbackQuery(query.id);
+    return;
+  } else if (data.startsWith('drop_set_') || data.startsWith('rise_set_')) {
+    // Format: drop_set_<tokenKey>_<percent> / rise_set_<tokenKey>_<percent> (0 resets to default)
+    const kind = data.startsWith('rise_') ? 'rise' : 'drop';
+    const field = kind === 'rise' ? 'riseThresholds' : 'dropThresholds';
+    const label = kind === 'rise' ? 'Rise' : 'Drop';
+    const payload = data.replace(`${kind}_set_`, '');
+    const separatorIndex = payload.lastIndexOf('_');
+    const tokenKey = payload.substring(0, separatorIndex);
+    const percent = parseFloat(payload.substring(separatorIndex + 1));
+    
+    const userInfo = await getUserPreferences(chatId);
+    const prefs = { ...userInfo };
+    delete prefs.isNew;
+    
+    const thresholds = { ...(prefs[field] || {}) };
+    if (!percent) {
+      delete thresholds[tokenKey];
+    } else {
+      thresholds[tokenKey] = percent;
+    }
+    await updateUserPreferences(chatId, { [field]: thresholds });
+    prefs[field] = thresholds;
+    
+    await bot.answerCallbackQuery(query.id, {
+      text: percent ? `${label} alert set to ${percent}%` : `${label} alert reset to default`
+    });
+    
+    const menu = buildThresholdMenu(prefs, kind);
+    await bot.editMessageText(menu.text, {
+      chat_id: chatId,
+      message_id: query.message.message_id,
+      reply_markup: menu.keyboard,
+      parse_mode: 'Markdown'
+    });
+    return;
+  } else if (data === 'menu_targets') {
+    const list = await buildTargetList(chatId, true);
+    await bot.editMessageText(list.text, {
+      chat_id: chatId,
+      message_id: query.message.message_id,
+      reply_markup: list.keyboard,
+      parse_mode: 'Markdown'
+    });
+    await bot.answerCallbackQuery(query.id);
+    return;
+  } else if (data === 'menu_quiet' || data.startsWith('quiet_set_') || data === 'quiet_off') {
+    if (data === 'quiet_off') {
+      await updateUserPreferences(chatId, { quietHours: null });
+    } else if (data.startsWith('quiet_set_')) {
+      const [start, end] = data.replace('quiet_set_', '').split('_').map(v => parseInt(v));
+      await updateUserPreferences(chatId, { quietHours: { start, end } });
+    }
+    
+    const userInfo = await getUserPreferences(chatId);
+    const prefs = { ...userInfo };
+    delete prefs.isNew;
+    
+    const menu = buildQuietHoursMenu(prefs);
+    try {
+      await bot.editMessageText(menu.text, {
+        chat_id: chatId,
+        message_id: query.message.message_id,
+        reply_markup: menu.keyboard,
+        parse_mode: 'Markdown'
+      });
+    } catch (error) {
+      // Message not modified (same option picked again)
+    }
+    await bot.answerCallbackQuery(query.id, data === 'menu_quiet' ? {} : { text: data === 'quiet_off' ? 'Quiet hours off' : 'Quiet hours saved' });
+    return;
+  } else if (data.startsWith('update_mode_')) {
+    const updateMode = data.replace('update_mode_', '');
+    if (!UPDATE_MODES.includes(updateMode)) {
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+    const previous = await getUserPreferences(chatId);
+    if (previous.updateMode === 'live' && updateMode !== 'live') {
+      await stopLiveBoard(bot, chatId, previous);
+    }
+    const userInfo = await updateUserPreferences(chatId, { updateMode });
+    
+    // Refresh just the toggle row of whichever interval keyboard was used
+    const rows = (query.message.reply_markup?.inline_keyboard || []).map(row =>
+      row[0]?.callback_data?.startsWith('update_mode_') ? [buildUpdateModeButton(userInfo)] : row
+    );
+    try {
+      await bot.editMessageReplyMarkup({ inline_keyboard: rows }, {
+        chat_id: chatId,
+        message_id: query.message.message_id
+      });
+    } catch (error) {
+      // Message not modified
+    }
+    const modeMessages = {
+      separate: 'Updates will come per token',
+      digest: 'Updates will come as one message',
+      live: 'Live board pinned - it updates in place'
+    };
+    await bot.answerCallbackQuery(query.id, { text: modeMessages[updateMode] });
+    
+    // Post the board right away instead of waiting for the next tick
+    if (updateMode === 'live') {
+      const prefs = { ...userInfo };
+      await sendLiveBoard(bot, chatId, prefs);
+    }
+    return;
+  } else if (data.startsWith('detail_')) {
+    // Per-token detail from the consolidated update
+    const tokenKey = data.replace('detail_', '');
+    const userInfo = await getUserPreferences(chatId);
+    
+    await bot.answerCallbackQuery(query.id);
+    if (TOKENS[tokenKey]) {
+      await sendPriceUpdate(bot, chatId, tokenKey, userInfo.timezone);
+    } else {
+      const customToken = (userInfo.customTokens || []).find(ct => ct.address === tokenKey);
+      if (!customToken) {
+        await bot.sendMessage(chatId, '❌ You are no longer tracking this token.');
+        return;
+      }
+      await sendCustomTokenUpdate(bot, chatId, customToken.address, customToken, userInfo.timezone);
+    }
+    return;
+  } else if (data.startsWith('target_rearm_') || data.startsWith('target_del_')) {
+    const isDelete = data.startsWith('target_del_');
+    const targetId = parseInt(data.replace(isDelete ? 'target_del_' : 'target_rearm_', ''));
+    const targets = await loadPriceTargets(chatId);
+    const target = targets.find(t => t.id === targetId);
+    
+    if (!target) {
+      await bot.answerCallbackQuery(query.id, { text: 'Target not found', show_alert: true });
+      return;
+    }
+    
+    if (isDelete) {
+      await deletePriceTarget(targetId, chatId);
+      await bot.answerCallbackQuery(query.id, { text: `Target #${targetId} deleted` });
+    } else {
+      await updatePriceTarget(targetId, { rearm: !target.rearm });
+      await bot.answerCallbackQuery(query.id, { text: `Target #${targetId} is now ${!target.rearm ? 're-arming' : 'one-shot'}` });
+    }
+    
+    // Keep the Back button if the list was opened from the menu
+    const fromMenu = (query.message.reply_markup?.inline_keyboard || []).some(row =>
+      row.some(button => button.callback_data === 'menu_back')
+    );
+    const list = await buildTargetList(chatId, fromMenu);
+    await bot.editMessageText(list.text, {
+      chat_id: chatId,
+      message_id: query.message.message_id,
+      reply_markup: list.keyboard,
+      parse_mode: 'Markdown'
+    });
+    return;
   } else if (data === 'menu_back') {
     await handleStart(bot, { chat: { id: chatId } });
     return;
+  } else if (data === 'menu_buyhold' || data.startsWith('buyhold_set_')) {
+    if (data.startsWith('buyhold_set_')) {
+      const seconds = parseInt(data.replace('buyhold_set_', ''));
+      if (!KOL_BUY_HOLD_OPTIONS.includes(seconds)) {
+        await bot.answerCallbackQuery(query.id);
+        return;
+      }
+      await updateUserPreferences(chatId, { kolBuyHoldSeconds: seconds });
+    }
+    
+    const userInfo = await getUserPreferences(chatId);
+    const prefs = { ...userInfo };
+    delete prefs.isNew;
+    
+    const menu = buildBuyHoldMenu(prefs);
+    if (data === 'menu_buyhold') {
+      await bot.sendMessage(chatId, menu.text, {
+        reply_markup: menu.keyboard,
+        parse_mode: 'Markdown'
+      });
+    } else {
+      try {
+        await bot.editMessageText(menu.text, {
+          chat_id: chatId,
+          message_id: query.message.message_id,
+          reply_markup: menu.keyboard,
+          parse_mode: 'Markdown'
+        });
+      } catch (error) {
+        // Message not modified (same option picked again)
+      }
+    }
+    await bot.answerCallbackQuery(query.id, data === 'menu_buyhold' ? {} : { text: 'Buy alert hold saved' });
+    return;
+  } else if (data === 'menu_alertsources' || data.startsWith('kolsrc_toggle_')) {
+    let userInfo = await getUserPreferences(chatId);
+    let toggledText = null;
+    if (data.startsWith('kolsrc_toggle_')) {
+      const key = data.replace('kolsrc_toggle_', '');
+      if (!KOL_ALERT_SOURCES[key]) {
+        await bot.answerCallbackQuery(query.id);
+        return;
+      }
+      const sources = getKOLAlertSources(userInfo);
+      sources[key] = !sources[key];
+      userInfo = await updateUserPreferences(chatId, { kolAlertSources: sources });
+      toggledText = `${KOL_ALERT_SOURCES[key].label} ${sources[key] ? 'on' : 'off'}`;
+    }
+    
+    const prefs = { ...userInfo };
+    delete prefs.isNew;
+    
+    const menu = buildAlertSourcesMenu(prefs);
+    if (data === 'menu_alertsources') {
+      await bot.sendMessage(chatId, menu.text, {
+        reply_markup: menu.keyboard,
+        parse_mode: 'Markdown'
+      });
+    } else {
+      await bot.editMessageText(menu.text, {
+        chat_id: chatId,
+        message_id: query.message.message_id,
+        reply_markup: menu.keyboard,
+        parse_mode: 'Markdown'
+      });
+    }
+    await bot.answerCallbackQuery(query.id, toggledText ? { text: toggledText } : {});
+    return;
+  } else if (data === 'menu_kolfilters' || data.startsWith('kf_')) {
+    await handleKOLFiltersCallback(bot, query);
+    return;
   } else if (data === 'menu_kols') {
     await sendKOLListPage(bot, chatId, 1);
     await bot.answerCallbackQuery(query.id);
@@ -79,10 +344,13 @@ async function handleCallbackQuery(bot, query) {
   } else if (data.startsWith('kol_track_')) {
     // Handle track KOL from button
     const kolAddress = data.replace('kol_track_', '');
-    const kolNames = KOL_ADDRESSES[kolAddress];
-    const kolName = kolNames ? kolNames[0] : 'Unknown';
+    if (!isValidSolanaAddress(kolAddress)) {
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
     
     const userPrefs = await getUserPreferences(chatId);
+    const kolName = getWalletName(kolAddress, userPrefs);
     const trackedKOLs = userPrefs.trackedKOLs || [];
     
     if (trackedKOLs.includes(kolAddress)) {
@@ -90,10 +358,10 @@ async function handleCallbackQuery(bot, query) {
       return;
     }
     
-    // Check if user has reached the limit of 2 KOLs
-    if (trackedKOLs.length >= 2) {
+    // Check the user's KOL quota
+    if (!checkQuota(userPrefs, 'kols').allowed) {
       await bot.answerCallbackQuery(query.id, { 
-        text: `❌ Maximum limit reached! You can only track 2 KOLs at a time. Please untrack one first.`,
+        text: `❌ Maximum limit reached! ${formatQuotaReachedMessage(userPrefs, 'kols')}`,
         show_alert: true
       });
       return;
@@ -144,10 +412,8 @@ async function handleCallbackQuery(bot, query) {
   } else if (data.startsWith('kol_untrack_')) {
     // Handle untrack KOL from button
     const kolAddress = data.replace('kol_untrack_', '');
-    const kolNames = KOL_ADDRESSES[kolAddress];
-    const kolName = kolNames ? kolNames[0] : 'Unknown';
-    
     const userPrefs = await getUserPreferences(chatId);
+    const kolName = getWalletName(kolAddress, userPrefs);
     const trackedKOLs = userPrefs.trackedKOLs || [];
     
     if (!trackedKOLs.includes(kolAddress)) {
@@ -156,7 +422,10 @@ async function handleCallbackQuery(bot, query) {
     }
     
     const updatedKOLs = trackedKOLs.filter(addr => addr !== kolAddress);
-    await updateUserPreferences(chatId, { trackedKOLs: updatedKOLs });
+    // Forget the private label of a wallet added with /trackwallet
+    const walletLabels = { ...(userPrefs.walletLabels || {}) };
+    delete walletLabels[kolAddress];
+    await updateUserPreferences(chatId, { trackedKOLs: updatedKOLs, walletLabels });
     
     // Check if this is from the KOL list page or individual KOL view
     const messageText = query.message.text || query.message.caption || '';
@@ -227,16 +496,15 @@ async function handleCallbackQuery(bot, query) {
     delete prefs.isNew;
     
     const index = prefs.tokens.indexOf(token);
-    const hasMainToken = prefs.tokens.length > 0;
     
     if (index > -1) {
       // Remove token
       prefs.tokens.splice(index, 1);
     } else {
-      // Add token (but limit to 1)
-      if (hasMainToken) {
+      // Add token (within the plan quota)
+      if (!checkQuota(prefs, 'mainTokens').allowed) {
         await bot.answerCallbackQuery(query.id, {
-          text: 'Limit: 1 main token. Remove existing first.',
+          text: formatQuotaReachedMessage(prefs, 'mainTokens'),
           show_alert: true
         });
         return;
@@ -254,49 +522,12 @@ async function handleCallbackQuery(bot, query) {
       text: `${isSelected ? 'Added' : 'Removed'} ${tokenInfo.name}`
     });
     
-    // If coming from menu, update selection screen or go back to menu
-    if (query.message.text && query.message.text.includes('Select *ONE* main token')) {
-      // Update the selection screen
-      const hasMainTokenNow = prefs.tokens.length > 0;
-      const keyboard = {
-        inline_keyboard: [
-          ...Object.keys(TOKENS).map(t => {
-            const tInfo = TOKENS[t];
-            const selected = prefs.tokens.includes(t);
-            const isDisabled = !selected && hasMainTokenNow;
-            return [{
-              text: `${selected ? '✅' : isDisabled ? '🚫' : '⬜'} ${tInfo.emoji} ${tInfo.name} ($${tInfo.symbol.toUpperCase()})${isDisabled ? ' (Limit: 1)' : ''}`,
-              callback_data: isDisabled ? 'disabled' : `toggle_${t}`
-            }];
-          }),
-          [{ text: '🔙 Back to Menu', callback_data: 'menu_back' }]
-        ]
-      };
-      
-      await bot.editMessageReplyMarkup(keyboard, {
-        chat_id: chatId,
-        message_id: query.message.message_id
-      });
-    } else {
-      // If from old /select command, just update that screen
-      const hasMainTokenNow = prefs.tokens.length > 0;
-      const keyboard = {
-        inline_keyboard: Object.keys(TOKENS).map(t => {
-          const tInfo = TOKENS[t];
-          const selected = prefs.tokens.includes(t);
-          const isDisabled = !selected && hasMainTokenNow;
-          return [{
-            text: `${selected ? '✅' : isDisabled ? '🚫' : '⬜'} ${tInfo.name} ($${tInfo.symbol.toUpperCase()})${isDisabled ? ' (Limit: 1)' : ''}`,
-            callback_data: isDisabled ? 'disabled' : `toggle_${t}`
-          }];
-        })
-      };
-      
-      await bot.editMessageReplyMarkup(keyboard, {
-        chat_id: chatId,
-        message_id: query.message.message_id
-      });
-    }
+    // Refresh the selection screen (keep the back button if it came from the menu)
+    const fromMenu = (query.message.reply_markup?.inline_keyboard || []).some(row => row.some(b => b.callback_data === 'menu_back'));
+    await bot.editMessageReplyMarkup(buildMainTokenKeyboard(prefs, fromMenu), {
+      chat_id: chatId,
+      message_id: query.message.message_id
+    });
 
   } else if (data.startsWith('interval_')) {
     const interval = parseInt(data.replace('interval_', ''));
@@ -366,6 +597,79 @@ async function handleCallbackQuery(bot, query) {
   }
 }
 
+// Next value in a list of options (wraps around)
+function nextOption(options, current) {
+  const index = options.indexOf(current);
+  return options[(index + 1) % options.length];
+}
+
+// KOL alert filters screen: kf_<setting>_<scope>, scope is 'g' (global) or a tracked KOL's address
+async function handleKOLFiltersCallback(bot, query) {
+  const chatId = query.message.chat.id;
+  const data = query.data;
+  const userInfo = await getUserPreferences(chatId);
+  let prefs = { ...userInfo };
+  delete prefs.isNew;
+  
+  let menu;
+  if (data === 'kf_kols') {
+    menu = buildKOLFilterScopeMenu(prefs);
+  } else if (data === 'menu_kolfilters' || data.startsWith('kf_scope_')) {
+    menu = buildKOLFiltersMenu(prefs, data === 'menu_kolfilters' ? 'g' : data.replace('kf_scope_', ''));
+  } else {
+    const [, setting, scope] = data.match(/^kf_([a-z]+)_(.+)$/) || [];
+    const isGlobal = scope === 'g';
+    if (!setting || (!isGlobal && !(prefs.trackedKOLs || []).includes(scope))) {
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+    
+    const kolFilters = { global: {}, kols: {}, ...(prefs.kolFilters || {}) };
+    kolFilters.kols = { ...kolFilters.kols };
+    if (setting === 'reset') {
+      delete kolFilters.kols[scope];
+    } else {
+      // A KOL's first change starts from a copy of the global filters
+      const filters = getKOLFilters(prefs, isGlobal ? null : scope);
+      if (setting === 'minsol') filters.minSol = nextOption(KOL_FILTER_MIN_SOL_OPTIONS, filters.minSol);
+      else if (setting === 'side') filters.side = nextOption(['both', 'buys', 'sells'], filters.side);
+      else if (setting === 'minmc') filters.minMarketCap = nextOption(KOL_FILTER_MIN_MCAP_OPTIONS, filters.minMarketCap);
+      else if (setting === 'maxmc') filters.maxMarketCap = nextOption(KOL_FILTER_MAX_MCAP_OPTIONS, filters.maxMarketCap);
+      else if (setting === 'first') filters.firstBuyOnly = !filters.firstBuyOnly;
+      else if (setting === 'flips') filters.excludeInstantFlips = !filters.excludeInstantFlips;
+      else if (setting === 'farm') filters.excludeFarming = !filters.excludeFarming;
+      
+      if (isGlobal) {
+        kolFilters.global = filters;
+      } else {
+        kolFilters.kols[scope] = filters;
+      }
+    }
+    
+    prefs = await updateUserPreferences(chatId, { kolFilters });
+    menu = buildKOLFiltersMenu(prefs, scope);
+  }
+  
+  if (data === 'menu_kolfilters') {
+    await bot.sendMessage(chatId, menu.text, {
+      reply_markup: menu.keyboard,
+      parse_mode: 'Markdown'
+    });
+  } else {
+    try {
+      await bot.editMessageText(menu.text, {
+        chat_id: chatId,
+        message_id: query.message.message_id,
+        reply_markup: menu.keyboard,
+        parse_mode: 'Markdown'
+      });
+    } catch (error) {
+      // Message not modified
+    }
+  }
+  await bot.answerCallbackQuery(query.id);
+}
+
 // Handle add main token from menu
 async function handleSelectFromMenu(bot, query) {
   const chatId = query.message.chat.id;
@@ -373,29 +677,12 @@ async function handleSelectFromMenu(bot, query) {
   const prefs = { ...userInfo };
   delete prefs.isNew;
   
-  const hasMainToken = prefs.tokens.length > 0;
-  
-  const keyboard = {
-    inline_keyboard: [
-      ...Object.keys(TOKENS).map(token => {
-        const tokenInfo = TOKENS[token];
-        const isSelected = prefs.tokens.includes(token);
-        const isDisabled = !isSelected && hasMainToken;
-        return [{
-          text: `${isSelected ? '✅' : isDisabled ? '🚫' : '⬜'} ${tokenInfo.emoji} ${tokenInfo.name} ($${tokenInfo.symbol.toUpperCase()})${isDisabled ? ' (Limit: 1)' : ''}`,
-          callback_data: isDisabled ? 'disabled' : `toggle_${token}`
-        }];
-      }),
-      [{ text: '🔙 Back to Menu', callback_data: 'menu_back' }]
-    ]
-  };
-
   await bot.editMessageText(
-    'Select *ONE* main token to monitor:\n\n_You can also add 1 Solana token_',
+    `Select the main tokens to monitor (up to ${getQuota(prefs, 'mainTokens')}):\n\n_You can also add Solana tokens - see /plan for your limits_`,
     {
       chat_id: chatId,
       message_id: query.message.message_id,
-      reply_markup: keyboard,
+      reply_markup: buildMainTokenKeyboard(prefs, true),
       parse_mode: 'Markdown'
     }
   );
@@ -408,9 +695,9 @@ async function handleAddTokenFromMenu(bot, query) {
   const prefs = { ...userInfo };
   delete prefs.isNew;
 
-  if (prefs.customTokens && prefs.customTokens.length >= 1) {
+  if (!checkQuota(prefs, 'solanaTokens').allowed) {
     await bot.answerCallbackQuery(query.id, {
-      text: 'Limit: 1 Solana token. Remove existing first.',
+      text: formatQuotaReachedMessage(prefs, 'solanaTokens'),
       show_alert: true
     });
     return;
@@ -498,6 +785,7 @@ async function handleRemoveTokensFromMenu(bot, query) {
 // Handle interval from menu
 async function handleIntervalFromMenu(bot, query) {
   const chatId = query.message.chat.id;
+  const userInfo = await getUserPreferences(chatId);
 
   const keyboard = {
     inline_keyboard: [
@@ -505,12 +793,13 @@ async function handleIntervalFromMenu(bot, query) {
         text: `⏰ ${interval} minute${interval > 1 ? 's' : ''}`,
         callback_data: `interval_${interval}`
       }]),
+      [buildUpdateModeButton(userInfo)],
       [{ text: '🔙 Back to Menu', callback_data: 'menu_back' }]
     ]
   };
 
   await bot.editMessageText(
-    '⏰ *Choose Update Interval*\n\nHow often do you want to receive price updates?',
+    '⏰ *Choose Update Interval*\n\nHow often do you want to receive price updates?\n\n_Style: one message per token, a single message with all your tokens, or a pinned live board that updates in place_',
     {
       chat_id: chatId,
       message_id: query.message.message_id,
@@ -1,10 +1,27 @@
-const { TOKENS, VALID_INTERVALS } = require('../config/tokens');
-const { getUserPreferences, updateUserPreferences, loadUsers, saveUsers, getUserCount, getActiveUserCount, setTempFlag, getTempFlag, clearTempFlag, getWinningTokens, getLeaderboard, calculateKOLPerformance } = require('../utils/storage');
+const { TOKENS, VALID_INTERVALS, UPDATE_MODES, DEFAULT_UPDATE_MODE, DROP_THRESHOLD_OPTIONS, RISE_THRESHOLD_OPTIONS, ALERT_WINDOWS } = require('../config/tokens');
+const { getUserPreferences, updateUserPreferences, loadUsers, saveUsers, getUserCount, getActiveUserCount, setTempFlag, getTempFlag, clearTempFlag, getWinningTokens, getLeaderboard, calculateKOLPerformance, loadPriceTargets, addPriceTarget } = require('../utils/storage');
 const { getSolanaTokenInfo, getTokenPrice } = require('../utils/api');
+const { isValidSolanaAddress } = require('../utils/solanaAddress');
+const { getProviderHealth } = require('../utils/priceProviders');
+const { getHttpStats } = require('../utils/http');
+const { getDeliveryStats } = require('../services/deliveryQueue');
+const { getKOLStreamStatus } = require('../services/kolStream');
+const { isUndeliverable } = require('../services/deliveryHealth');
+const { formatSource } = require('../utils/messages');
 const { scheduleUserUpdates } = require('../services/scheduler');
+const { getDropThreshold, getRiseThreshold, formatTargetValue } = require('../services/alerts');
 const { notifyAdminNewUser } = require('./admin');
 const { KOL_ADDRESSES, KOL_NAME_TO_ADDRESS } = require('../config/kol');
 const { syncTopKOLsFromLeaderboard, analyzeTopKOLPatterns } = require('../services/kolscanLeaderboard');
+const { DEFAULT_TIMEZONE, QUIET_HOURS_PRESETS, KOL_BUY_HOLD_OPTIONS, MAX_KOL_BUY_HOLD_SECONDS, KOL_ALERT_SOURCES } = require('../config/alerts');
+const { MAX_WALLET_LABEL_LENGTH } = require('../config/kol');
+const { getKOLBuyHoldSeconds, getWalletName } = require('../services/kolMonitor');
+const { getKOLAlertSources } = require('../services/kolSubscriptions');
+const { getKOLFilters, hasOwnKOLFilters, formatFilterMarketCap } = require('../services/kolFilters');
+const { getDisplayTimes, isValidTimezone, parseTimeOfDay, formatTimeOfDay } = require('../utils/time');
+const { PLANS, QUOTA_LABELS } = require('../config/plans');
+const { getUserPlan, getQuota, getQuotaUsage, checkQuota, formatQuota, formatQuotaReachedMessage } = require('../services/plans');
+const { initializeTokenRegistry, findTokenKey, resolveAndRegisterToken } = require('../services/tokenRegistry');
 
 // Start command - Beautiful menu with status and buttons
 async function handleStart(bot, msg) {
@@ -14,8 +31,15 @@ async function handleStart(bot, msg) {
   const prefs = { ...userInfo };
   delete prefs.isNew;
   
-  await updateUserPreferences(chatId, { subscribed: true });
+  // Users deactivated because the bot was blocked / the chat was gone resume here with their settings intact
+  const wasUndeliverable = isUndeliverable(prefs);
+  await updateUserPreferences(chatId, { subscribed: true, deliveryHealth: null });
+  prefs.subscribed = true;
   scheduleUserUpdates(bot, chatId, prefs);
+  if (wasUndeliverable) {
+    console.log(`🔄 User ${chatId} is back after ${prefs.deliveryHealth.status}, resuming updates`);
+    await bot.sendMessage(chatId, '👋 Welcome back! Your tokens, KOLs and alert settings were kept and updates are running again.');
+  }
 
   // Notify admin if new user
   if (isNew && process.env.ADMIN_CHAT_ID) {
@@ -83,8 +107,11 @@ async function handleStart(bot, msg) {
   }
 
   statusMessage += `⏰ <b>Update Interval:</b> ${prefs.interval || 1} minute${(prefs.interval || 1) > 1 ? 's' : ''}`;
+  statusMessage += `\n📋 <b>Update Style:</b> ${UPDATE_MODE_LABELS[prefs.updateMode] || UPDATE_MODE_LABELS.separate}`;
   statusMessage += `\n🔔 <b>Status:</b> ${prefs.subscribed ? '✅ Active' : '❌ Inactive'}`;
-  statusMessage += `\n\n🚨 <b>Instant Alerts:</b> Price drops of 20%+ (Solana) or 5%+ (main tokens) are sent immediately!`;
+  statusMessage += `\n🌍 <b>Timezone:</b> ${prefs.timezone || DEFAULT_TIMEZONE}`;
+  statusMessage += `\n🌙 <b>Quiet Hours:</b> ${formatQuietHours(prefs.quietHours)}`;
+  statusMessage += `\n\n🚨 <b>Instant Alerts:</b> Price drops and rises of 20%+ (Solana) or 5%+ (main tokens) are sent immediately! Set your own per-token % with /threshold (drops) and /rise (rises)`;
 
   // Build beautiful keyboard menu
   const keyboard = {
@@ -98,9 +125,15 @@ async function handleStart(bot, msg) {
         { text: '➖ Remove Tokens', callback_data: 'menu_remove' }
       ],
       [
+        { text: '🚨 Drop Alerts', callback_data: 'menu_thresholds' },
+        { text: '🚀 Rise Alerts', callback_data: 'menu_rises' }
+      ],
+      [
+        { text: '🎯 Price Targets', callback_data: 'menu_targets' },
         { text: '⏰ Change Interval', callback_data: 'menu_interval' }
       ],
       [
+        { text: '🌙 Quiet Hours', callback_data: 'menu_quiet' },
         { text: prefs.subscribed ? '⏸️ Pause Updates' : '▶️ Resume Updates', callback_data: prefs.subscribed ? 'menu_pause' : 'menu_resume' }
       ]
     ]
@@ -119,36 +152,62 @@ async function handleSelect(bot, msg) {
   const prefs = { ...userInfo };
   delete prefs.isNew;
   
-  // Limit to 1 main token
-  const hasMainToken = prefs.tokens.length > 0;
-  
-  const keyboard = {
-    inline_keyboard: Object.keys(TOKENS).map(token => {
-      const tokenInfo = TOKENS[token];
-      const isSelected = prefs.tokens.includes(token);
-      const isDisabled = !isSelected && hasMainToken;
-      return [{
-        text: `${isSelected ? '✅' : isDisabled ? '🚫' : '⬜'} ${tokenInfo.name} ($${tokenInfo.symbol.toUpperCase()})${isDisabled ? ' (Limit: 1)' : ''}`,
-        callback_data: isDisabled ? 'disabled' : `toggle_${token}`
-      }];
-    })
+  await bot.sendMessage(chatId, `Select the main tokens to monitor (up to ${getQuota(prefs, 'mainTokens')}):\n\n_Missing a coin? Add any major coin with /addcoin <SYMBOL>. You can also add Solana tokens with /addtoken - see /plan for your limits_`, {
+    reply_markup: buildMainTokenKeyboard(prefs),
+    parse_mode: 'Markdown'
+  });
+}
+
+// Update style labels, in the order the button cycles through them
+const UPDATE_MODE_LABELS = {
+  separate: '📨 Per token',
+  digest: '📋 Single message',
+  live: '📌 Live board'
+};
+
+// Button that cycles through the update styles (per token -> single message -> live board)
+function buildUpdateModeButton(prefs) {
+  const current = UPDATE_MODES.includes(prefs.updateMode) ? prefs.updateMode : DEFAULT_UPDATE_MODE;
+  const next = UPDATE_MODES[(UPDATE_MODES.indexOf(current) + 1) % UPDATE_MODES.length];
+  return {
+    text: `Style: ${UPDATE_MODE_LABELS[current]} (tap to change)`,
+    callback_data: `update_mode_${next}`
   };
+}
 
-  await bot.sendMessage(chatId, 'Select *ONE* main token to monitor:\n\n_You can also add 1 Solana token with /addtoken_', {
-    reply_markup: keyboard,
-    parse_mode: 'Markdown'
+// Main token selection keyboard - tokens beyond the user's plan quota are disabled
+function buildMainTokenKeyboard(prefs, fromMenu = false) {
+  const quota = checkQuota(prefs, 'mainTokens');
+  
+  const rows = Object.keys(TOKENS).map(token => {
+    const tokenInfo = TOKENS[token];
+    const isSelected = prefs.tokens.includes(token);
+    const isDisabled = !isSelected && !quota.allowed;
+    return [{
+      text: `${isSelected ? '✅' : isDisabled ? '🚫' : '⬜'} ${tokenInfo.emoji ? tokenInfo.emoji + ' ' : ''}${tokenInfo.name} ($${tokenInfo.symbol.toUpperCase()})${isDisabled ? ` (Limit: ${quota.limit})` : ''}`,
+      callback_data: isDisabled ? 'disabled' : `toggle_${token}`
+    }];
   });
+  
+  if (fromMenu) {
+    rows.push([{ text: '🔙 Back to Menu', callback_data: 'menu_back' }]);
+  }
+  return { inline_keyboard: rows };
 }
 
 // Interval command
 async function handleInterval(bot, msg) {
   const chatId = msg.chat.id;
+  const userInfo = await getUserPreferences(chatId);
   
   const keyboard = {
-    inline_keyboard: VALID_INTERVALS.map(interval => [{
-      text: `${interval} minute${interval > 1 ? 's' : ''}`,
-      callback_data: `interval_${interval}`
-    }])
+    inline_keyboard: [
+      ...VALID_INTERVALS.map(interval => [{
+        text: `${interval} minute${interval > 1 ? 's' : ''}`,
+        callback_data: `interval_${interval}`
+      }]),
+      [buildUpdateModeButton(userInfo)]
+    ]
   };
 
   await bot.sendMessage(chatId, 'Choose update interval:', {
@@ -156,6 +215,399 @@ async function handleInterval(bot, msg) {
   });
 }
 
+// Get the user's tracked main and Solana tokens as { key, label, isSolana }
+// key is the TOKENS key for main tokens and the mint address for Solana tokens
+function getThresholdTokenEntries(prefs) {
+  const entries = [];
+  (prefs.tokens || []).forEach(tokenKey => {
+    const tokenInfo = TOKENS[tokenKey];
+    if (tokenInfo) {
+      const emojiDisplay = tokenInfo.emoji ? `${tokenInfo.emoji} ` : '';
+      entries.push({ key: tokenKey, label: `${emojiDisplay}$${tokenInfo.symbol.toUpperCase()}`, symbol: tokenInfo.symbol, isSolana: false });
+    }
+  });
+  (prefs.customTokens || []).forEach(ct => {
+    if (ct.address) {
+      const symbolUpper = (ct.symbol || 'Unknown').toUpperCase();
+      entries.push({ key: ct.address, label: `$${symbolUpper}`, symbol: ct.symbol || '', isSolana: true });
+    }
+  });
+  return entries;
+}
+
+// Drop and rise alert settings share the same screens, these describe each kind
+const THRESHOLD_KINDS = {
+  drop: {
+    title: '🚨 Drop Alerts',
+    field: 'dropThresholds',
+    getThreshold: getDropThreshold,
+    options: DROP_THRESHOLD_OPTIONS,
+    menuCallback: 'menu_thresholds',
+    command: '/threshold',
+    movement: 'drops'
+  },
+  rise: {
+    title: '🚀 Rise Alerts',
+    field: 'riseThresholds',
+    getThreshold: getRiseThreshold,
+    options: RISE_THRESHOLD_OPTIONS,
+    menuCallback: 'menu_rises',
+    command: '/rise',
+    movement: 'rises'
+  }
+};
+
+// Build the threshold overview (text + keyboard listing the user's tokens)
+// kind is 'drop' or 'rise'
+function buildThresholdMenu(prefs, kind = 'drop') {
+  const config = THRESHOLD_KINDS[kind];
+  const entries = getThresholdTokenEntries(prefs);
+  
+  if (entries.length === 0) {
+    return {
+      text: `*${config.title}*\n\n❌ You haven't added any tokens yet.\n\nAdd a main or Solana token first, then set its alert %.`,
+      keyboard: { inline_keyboard: [[{ text: '🔙 Back to Menu', callback_data: 'menu_back' }]] }
+    };
+  }
+  
+  const lines = entries.map(entry => `• ${entry.label}: *${config.getThreshold(prefs, entry.key, entry.isSolana)}%*`);
+  
+  return {
+    text: `*${config.title}*\n\n` +
+      `You get an instant alert when a token ${config.movement} by at least this much within ${ALERT_WINDOWS.map(w => w.label).join(' / ')}:\n\n` +
+      `${lines.join('\n')}\n\n` +
+      `_Select a token to change its threshold, or use ${config.command} <symbol> <percent>_`,
+    keyboard: {
+      inline_keyboard: [
+        ...entries.map(entry => [{
+          text: `${entry.label} (${config.getThreshold(prefs, entry.key, entry.isSolana)}%)`,
+          callback_data: `${kind}_pick_${entry.key}`
+        }]),
+        [{ text: '🔙 Back to Menu', callback_data: 'menu_back' }]
+      ]
+    }
+  };
+}
+
+// Build the threshold choices for one token
+function buildThresholdOptions(prefs, kind, tokenKey) {
+  const config = THRESHOLD_KINDS[kind];
+  const entry = getThresholdTokenEntries(prefs).find(e => e.key === tokenKey);
+  if (!entry) return null;
+  
+  const current = config.getThreshold(prefs, entry.key, entry.isSolana);
+  const buttons = config.options.map(pct => ({
+    text: `${pct === current ? '✅ ' : ''}${pct}%`,
+    callback_data: `${kind}_set_${tokenKey}_${pct}`
+  }));
+  
+  // Lay out options in rows of 4
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 4) {
+    rows.push(buttons.slice(i, i + 4));
+  }
+  rows.push([{ text: '♻️ Reset to default', callback_data: `${kind}_set_${tokenKey}_0` }]);
+  rows.push([{ text: '🔙 Back', callback_data: config.menuCallback }]);
+  
+  return {
+    text: `*${config.title} for ${entry.label}*\n\n` +
+      `Current threshold: *${current}%*\n\n` +
+      `Alert me when the price ${config.movement} by at least:`,
+    keyboard: { inline_keyboard: rows }
+  };
+}
+
+// Shared handler for /threshold and /rise - no args shows the menu,
+// /<command> <symbol|address> <percent> sets the threshold directly
+async function handleThresholdCommand(bot, msg, kind) {
+  const config = THRESHOLD_KINDS[kind];
+  const chatId = msg.chat.id;
+  const text = msg.text || '';
+  const args = text.split(/\s+/).slice(1).filter(Boolean);
+  const userInfo = await getUserPreferences(chatId);
+  const prefs = { ...userInfo };
+  delete prefs.isNew;
+  
+  if (args.length === 0) {
+    const menu = buildThresholdMenu(prefs, kind);
+    await bot.sendMessage(chatId, menu.text, {
+      reply_markup: menu.keyboard,
+      parse_mode: 'Markdown'
+    });
+    return;
+  }
+  
+  const target = args[0].replace(/^\$/, '').toLowerCase();
+  const percent = parseFloat((args[1] || '').replace('%', ''));
+  
+  const entry = getThresholdTokenEntries(prefs).find(e =>
+    e.key.toLowerCase() === target || (e.symbol || '').toLowerCase() === target
+  );
+  
+  if (!entry) {
+    await bot.sendMessage(chatId, `❌ You're not tracking "${args[0]}". Use /mytokens to see your tokens.`);
+    return;
+  }
+  
+  // Rises aren't capped at 100%, drops can't go beyond it
+  if (isNaN(percent) || percent <= 0 || (kind === 'drop' && percent >= 100)) {
+    await bot.sendMessage(chatId, `❌ Please specify a valid percentage.\n\nExample: ${config.command} BTC 3`);
+    return;
+  }
+  
+  const thresholds = { ...(prefs[config.field] || {}), [entry.key]: percent };
+  await updateUserPreferences(chatId, { [config.field]: thresholds });
+  
+  await bot.sendMessage(chatId, `✅ ${kind === 'drop' ? 'Drop' : 'Rise'} alert for ${entry.label} set to *${percent}%*.`, { parse_mode: 'Markdown' });
+}
+
+// Threshold command - /threshold or /threshold <symbol|address> <percent>
+async function handleThreshold(bot, msg) {
+  await handleThresholdCommand(bot, msg, 'drop');
+}
+
+// Rise command - /rise or /rise <symbol|address> <percent>
+async function handleRise(bot, msg) {
+  await handleThresholdCommand(bot, msg, 'rise');
+}
+
+// Parse a target value like "250", "$0.0012", "1.5M" or "500k"
+function parseTargetValue(text) {
+  const match = (text || '').replace(/[$,]/g, '').match(/^(\d*\.?\d+)([kmb])?$/i);
+  if (!match) return null;
+  const multipliers = { k: 1e3, m: 1e6, b: 1e9 };
+  const value = parseFloat(match[1]) * (match[2] ? multipliers[match[2].toLowerCase()] : 1);
+  return value > 0 ? value : null;
+}
+
+// Resolve a /target token argument to { tokenKey, tokenType, symbol }
+// Accepts main token symbols (SOL), tracked Solana token symbols or any Solana mint address
+async function resolveTargetToken(prefs, arg) {
+  const query = arg.replace(/^\$/, '').toLowerCase();
+  
+  for (const [tokenKey, tokenInfo] of Object.entries(TOKENS)) {
+    if (tokenKey === query || tokenInfo.symbol.toLowerCase() === query) {
+      return { tokenKey, tokenType: 'main', symbol: tokenInfo.symbol };
+    }
+  }
+  
+  const customToken = (prefs.customTokens || []).find(ct =>
+    ct.address === arg || (ct.symbol || '').toLowerCase() === query
+  );
+  if (customToken) {
+    return { tokenKey: customToken.address, tokenType: 'solana', symbol: customToken.symbol };
+  }
+  
+  // Not tracked - treat as a Solana mint address (base58, 32-44 characters)
+  if (/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(arg)) {
+    const tokenInfo = await getSolanaTokenInfo(arg);
+    if (tokenInfo) {
+      return { tokenKey: arg, tokenType: 'solana', symbol: tokenInfo.symbol };
+    }
+  }
+  
+  return null;
+}
+
+// Build the target list (text + keyboard with toggle/delete buttons per target)
+async function buildTargetList(chatId, fromMenu = false) {
+  const targets = await loadPriceTargets(chatId);
+  const userPrefs = await getUserPreferences(chatId);
+  
+  let text = '🎯 *Price Targets*\n\n';
+  if (targets.length === 0) {
+    text += 'You don\'t have any targets yet.\n\n';
+  } else {
+    targets.forEach(t => {
+      const metricLabel = t.metric === 'mcap' ? 'MC' : 'price';
+      const mode = t.rearm ? '🔁' : '1️⃣';
+      const status = t.armed ? '' : ' _(waiting to re-arm)_';
+      text += `${mode} *#${t.id}* $${(t.symbol || '').toUpperCase()} ${metricLabel} ${t.direction} *${formatTargetValue(t.metric, t.target)}*${status}\n`;
+    });
+    text += `\n🔁 re-arming · 1️⃣ one-shot (${targets.length}/${getQuota(userPrefs, 'targets')})\n\n`;
+  }
+  text += '*Add a target:*\n' +
+    '`/target SOL above 250`\n' +
+    '`/target BTC below 60000 repeat`\n' +
+    '`/target <address> above 1M mcap`\n\n' +
+    '_Market cap targets work for Solana tokens. Add "repeat" to re-arm the target after it fires._';
+  
+  const inlineKeyboard = targets.map(t => [
+    { text: `${t.rearm ? '🔁' : '1️⃣'} #${t.id} ${(t.symbol || '').toUpperCase()}`, callback_data: `target_rearm_${t.id}` },
+    { text: `🗑️ Delete #${t.id}`, callback_data: `target_del_${t.id}` }
+  ]);
+  if (fromMenu) {
+    inlineKeyboard.push([{ text: '🔙 Back to Menu', callback_data: 'menu_back' }]);
+  }
+  
+  return { text, keyboard: { inline_keyboard: inlineKeyboard } };
+}
+
+// Target command - /target lists targets,
+// /target <symbol|address> <above|below> <value> [mcap] [repeat] creates one
+async function handleTarget(bot, msg) {
+  const chatId = msg.chat.id;
+  const text = msg.text || '';
+  const args = text.split(/\s+/).slice(1).filter(Boolean);
+  
+  if (args.length === 0) {
+    const list = await buildTargetList(chatId);
+    await bot.sendMessage(chatId, list.text, {
+      reply_markup: list.keyboard,
+      parse_mode: 'Markdown'
+    });
+    return;
+  }
+  
+  const usage = '❌ Usage: /target <symbol|address> <above|below> <value> [mcap] [repeat]\n\nExample: /target SOL above 250';
+  if (args.length < 3) {
+    await bot.sendMessage(chatId, usage);
+    return;
+  }
+  
+  const directionArg = args[1].toLowerCase();
+  const direction = ['above', '>', 'over'].includes(directionArg) ? 'above'
+    : ['below', '<', 'under'].includes(directionArg) ? 'below'
+    : null;
+  const value = parseTargetValue(args[2]);
+  const flags = args.slice(3).map(a => a.toLowerCase());
+  const metric = flags.includes('mcap') || flags.includes('mc') ? 'mcap' : 'price';
+  const rearm = flags.includes('repeat') || flags.includes('rearm');
+  
+  if (!direction || !value) {
+    await bot.sendMessage(chatId, usage);
+    return;
+  }
+  
+  const userInfo = await getUserPreferences(chatId);
+  const prefs = { ...userInfo };
+  delete prefs.isNew;
+  
+  const token = await resolveTargetToken(prefs, args[0]);
+  if (!token) {
+    await bot.sendMessage(chatId, `❌ Couldn't find token "${args[0]}". Use a main token symbol (e.g. BTC, ETH or a coin added with /addcoin), one of your Solana tokens, or a Solana token address.`);
+    return;
+  }
+  
+  if (metric === 'mcap' && token.tokenType !== 'solana') {
+    await bot.sendMessage(chatId, '❌ Market cap targets are only supported for Solana tokens. Use a price target instead.');
+    return;
+  }
+  
+  const existing = await loadPriceTargets(chatId);
+  if (!checkQuota(prefs, 'targets', existing.length).allowed) {
+    await bot.sendMessage(chatId, `❌ Maximum limit reached! ${formatQuotaReachedMessage(prefs, 'targets')}`);
+    return;
+  }
+  
+  const target = await addPriceTarget({
+    chatId,
+    tokenKey: token.tokenKey,
+    tokenType: token.tokenType,
+    symbol: token.symbol,
+    metric,
+    direction,
+    target: value,
+    rearm
+  });
+  
+  await bot.sendMessage(chatId,
+    `✅ Target *#${target.id}* set: $${(token.symbol || '').toUpperCase()} ${metric === 'mcap' ? 'market cap' : 'price'} ${direction} *${formatTargetValue(metric, value)}*\n\n` +
+    (rearm ? '🔁 Re-arms after each alert.' : '1️⃣ One-shot - removed after it fires.'),
+    { parse_mode: 'Markdown' }
+  );
+}
+
+// Describe quiet hours for status messages, e.g. "23:00 - 07:00" or "Off"
+function formatQuietHours(quietHours) {
+  if (!quietHours || quietHours.start === quietHours.end) return 'Off';
+  return `${formatTimeOfDay(quietHours.start)} - ${formatTimeOfDay(quietHours.end)}`;
+}
+
+// Build the quiet hours menu (presets + turn off)
+function buildQuietHoursMenu(prefs) {
+  const rows = QUIET_HOURS_PRESETS.map(preset => {
+    const isSelected = prefs.quietHours?.start === preset.start && prefs.quietHours?.end === preset.end;
+    return [{
+      text: `${isSelected ? '✅ ' : ''}${formatTimeOfDay(preset.start)} - ${formatTimeOfDay(preset.end)}`,
+      callback_data: `quiet_set_${preset.start}_${preset.end}`
+    }];
+  });
+  rows.push([{ text: `${prefs.quietHours ? '' : '✅ '}🔔 Off`, callback_data: 'quiet_off' }]);
+  
+  return {
+    text: `🌙 *Quiet Hours*\n\n` +
+      `Current: *${formatQuietHours(prefs.quietHours)}* (\`${prefs.timezone || DEFAULT_TIMEZONE}\`)\n\n` +
+      `During quiet hours periodic updates are paused and non-critical alerts (rises, recoveries, boosts, KOL trades) are saved for a morning digest. Drop and target alerts are always sent.\n\n` +
+      `_Custom range: /quiet 23:30-06:45 - change timezone with /timezone_`,
+    keyboard: { inline_keyboard: rows }
+  };
+}
+
+// Timezone command - /timezone <IANA name>, e.g. /timezone America/New_York
+async function handleTimezone(bot, msg) {
+  const chatId = msg.chat.id;
+  const text = msg.text || '';
+  const timezone = text.split(/\s+/)[1];
+  const userInfo = await getUserPreferences(chatId);
+  
+  if (!timezone) {
+    const current = userInfo.timezone || DEFAULT_TIMEZONE;
+    const { localTime } = getDisplayTimes(current);
+    await bot.sendMessage(chatId, `🌍 Your timezone is *${current}* (now ${localTime}).\n\nChange it with /timezone <name>, e.g. \`/timezone America/New_York\``, { parse_mode: 'Markdown' });
+    return;
+  }
+  
+  if (!isValidTimezone(timezone)) {
+    await bot.sendMessage(chatId, `❌ Unknown timezone "${timezone}".\n\nUse an IANA name like Europe/London, America/New_York or Asia/Singapore.`);
+    return;
+  }
+  
+  // Normalise casing ("europe/london" -> "Europe/London")
+  const resolved = new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+  await updateUserPreferences(chatId, { timezone: resolved });
+  
+  const { localTime } = getDisplayTimes(resolved);
+  await bot.sendMessage(chatId, `✅ Timezone set to *${resolved}* (now ${localTime}).`, { parse_mode: 'Markdown' });
+}
+
+// Quiet hours command - /quiet, /quiet 23:00-07:00 or /quiet off
+async function handleQuiet(bot, msg) {
+  const chatId = msg.chat.id;
+  const text = msg.text || '';
+  const arg = text.split(/\s+/).slice(1).join('');
+  const userInfo = await getUserPreferences(chatId);
+  const prefs = { ...userInfo };
+  delete prefs.isNew;
+  
+  if (!arg) {
+    const menu = buildQuietHoursMenu(prefs);
+    await bot.sendMessage(chatId, menu.text, {
+      reply_markup: menu.keyboard,
+      parse_mode: 'Markdown'
+    });
+    return;
+  }
+  
+  if (arg.toLowerCase() === 'off') {
+    await updateUserPreferences(chatId, { quietHours: null });
+    await bot.sendMessage(chatId, '🔔 Quiet hours turned off.');
+    return;
+  }
+  
+  const [startText, endText] = arg.split('-');
+  const start = parseTimeOfDay(startText);
+  const end = parseTimeOfDay(endText);
+  
+  if (start === null || end === null || start === end) {
+    await bot.sendMessage(chatId, '❌ Please specify a valid range.\n\nExample: /quiet 23:00-07:00 or /quiet off');
+    return;
+  }
+  
+  await updateUserPreferences(chatId, { quietHours: { start, end } });
+  await bot.sendMessage(chatId, `🌙 Quiet hours set to *${formatTimeOfDay(start)} - ${formatTimeOfDay(end)}* (\`${prefs.timezone || DEFAULT_TIMEZONE}\`).`, { parse_mode: 'Markdown' });
+}
+
 // My tokens command
 async function handleMyTokens(bot, msg) {
   const chatId = msg.chat.id;
@@ -204,13 +656,12 @@ async function handleAddToken(bot, msg) {
   const prefs = { ...userInfo };
   delete prefs.isNew;
   
-  // Check if user already has a Solana token
-  if (prefs.customTokens && prefs.customTokens.length >= 1) {
+  // Check the user's Solana token quota
+  if (!checkQuota(prefs, 'solanaTokens').allowed) {
     await bot.sendMessage(chatId, 
       '❌ *Limit Reached*\n\n' +
-      'You can only track *1 Solana token* at a time.\n\n' +
-      'Use /mytokens to view your current tokens.\n' +
-      'To add a new one, you\'ll need to remove the existing token first.',
+      `${formatQuotaReachedMessage(prefs, 'solanaTokens')}\n\n` +
+      'Use /mytokens to view your current tokens.',
       { parse_mode: 'Markdown' }
     );
     return;
@@ -280,6 +731,16 @@ async function handleAdmin(bot, msg) {
     }
   });
 
+  // Get plan distribution
+  const planStats = {};
+  Object.values(users).forEach(user => {
+    const planKey = getUserPlan(user);
+    planStats[planKey] = (planStats[planKey] || 0) + 1;
+  });
+  const planList = Object.entries(planStats)
+    .map(([planKey, count]) => `• ${PLANS[planKey].name}: *${count}*`)
+    .join('\n') || 'No users yet';
+
   const tokenList = Object.entries(tokenStats)
     .map(([token, count]) => {
       const tokenInfo = TOKENS[token];
@@ -288,21 +749,169 @@ async function handleAdmin(bot, msg) {
     .filter(Boolean)
     .join('\n') || 'No tokens selected yet';
 
+  // Price provider health (in ranking order, since the last restart)
+  const providerList = getProviderHealth()
+    .map(provider => {
+      let status = '🟢';
+      if (!provider.configured) status = '⚫️';
+      else if (provider.pausedUntil > Date.now()) status = '⏸️';
+      else if (provider.consecutiveFailures > 0) status = '🟡';
+      
+      let line = `• ${status} ${provider.label}: ${provider.successes} ok / ${provider.failures} failed`;
+      if (!provider.configured) line += ' (not configured)';
+      else if (provider.lastError && provider.consecutiveFailures > 0) line += ` (${provider.lastError.replace(/[_*`[\]]/g, '')})`;
+      return line;
+    })
+    .join('\n');
+
+  // Outbound API traffic per host (since the last restart)
+  const circuitEmoji = { closed: '🟢', 'half-open': '🟡', open: '🔴' };
+  const httpList = getHttpStats()
+    .map(stat => {
+      let line = `• ${circuitEmoji[stat.circuit]} ${stat.host}: ${stat.requests} req, ${stat.failures} failed, ${stat.retries} retries`;
+      if (stat.rateLimited > 0) line += `, ${stat.rateLimited}× 429`;
+      if (stat.rejected > 0) line += `, ${stat.rejected} blocked`;
+      return line;
+    })
+    .join('\n') || 'No requests yet';
+
+  const delivery = getDeliveryStats();
+  const deliveryHealthStats = { blocked: 0, chat_not_found: 0, badRequests: 0 };
+  Object.values(users).forEach(user => {
+    const health = user.deliveryHealth;
+    if (!health) return;
+    if (deliveryHealthStats[health.status] !== undefined) deliveryHealthStats[health.status]++;
+    if (health.badRequests > 0) deliveryHealthStats.badRequests++;
+  });
+
+  // KOL websocket (only in stream ingestion mode)
+  const kolStream = getKOLStreamStatus();
+  const kolStreamSection = kolStream
+    ? `\n*KOL Stream:*\n• ${kolStream.connected ? '🟢 Connected' : '🔴 Disconnected'}, ${kolStream.subscriptions} wallet(s) subscribed\n• ${kolStream.signatures} signature(s) from ${kolStream.notifications} notification(s), ${kolStream.connects} connect(s)\n`
+    : '';
+
   const message = `📊 *Bot Statistics*
 
 👥 *Users:*
 • Total Users: *${totalUsers}*
 • Active Users: *${activeUsers}*
 • Inactive Users: *${totalUsers - activeUsers}*
+• Blocked the bot: *${deliveryHealthStats.blocked}*
+• Chat not found: *${deliveryHealthStats.chat_not_found}*
+• With rejected messages: *${deliveryHealthStats.badRequests}*
+
+*Plans:*
+${planList}
 
 *Token Distribution:*
 ${tokenList}
 
+*Price Providers:*
+${providerList}
+
+*Outbound APIs:*
+${httpList}
+
+*Telegram Delivery:*
+• Sent: *${delivery.sent}* (${delivery.retried} retried after 429)
+• Failed: *${delivery.failed}* (${delivery.undeliverable} unreachable chats)
+• Queued now: *${delivery.queued}*
+${kolStreamSection}
 _Updated: ${new Date().toLocaleString()}_`;
 
   await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
 }
 
+// Plan command - show the user's plan, limits and usage
+async function handlePlan(bot, msg) {
+  const chatId = msg.chat.id;
+  const userInfo = await getUserPreferences(chatId);
+  const prefs = { ...userInfo };
+  delete prefs.isNew;
+  
+  const plan = PLANS[getUserPlan(prefs)];
+  const targets = await loadPriceTargets(chatId);
+  
+  let message = `💎 *Your Plan: ${plan.name}*\n\n`;
+  for (const quotaKey of Object.keys(QUOTA_LABELS)) {
+    const used = getQuotaUsage(prefs, quotaKey, targets.length);
+    const limit = getQuota(prefs, quotaKey);
+    const label = QUOTA_LABELS[quotaKey][1];
+    message += `• ${label.charAt(0).toUpperCase() + label.slice(1)}: *${used}/${limit}*${prefs.quotaOverrides?.[quotaKey] !== undefined ? ' _(custom)_' : ''}\n`;
+  }
+  
+  const otherPlans = Object.entries(PLANS).filter(([key]) => key !== getUserPlan(prefs));
+  if (otherPlans.length > 0) {
+    message += `\n*Other plans:*\n`;
+    for (const [, other] of otherPlans) {
+      message += `• ${other.name}: ${Object.keys(QUOTA_LABELS).map(quotaKey => formatQuota(quotaKey, other[quotaKey])).join(', ')}\n`;
+    }
+  }
+  
+  await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+}
+
+// Set plan command (admin only) - /setplan <chatId> <plan>
+async function handleSetPlan(bot, msg) {
+  const chatId = msg.chat.id;
+  const ADMIN_CHAT_ID = process.env.ADMIN_CHAT_ID;
+  
+  if (chatId.toString() !== ADMIN_CHAT_ID?.toString()) {
+    await bot.sendMessage(chatId, '❌ Access denied. Admin only.');
+    return;
+  }
+  
+  const [targetChatId, planKey] = (msg.text || '').split(/\s+/).slice(1);
+  if (!targetChatId || !PLANS[planKey]) {
+    await bot.sendMessage(chatId, `❌ Usage: /setplan <chatId> <${Object.keys(PLANS).join('|')}>`);
+    return;
+  }
+  
+  const users = await loadUsers();
+  if (!users[targetChatId]) {
+    await bot.sendMessage(chatId, `❌ User ${targetChatId} not found.`);
+    return;
+  }
+  
+  await updateUserPreferences(targetChatId, { plan: planKey });
+  console.log(`💎 Admin set plan of ${targetChatId} to ${planKey}`);
+  await bot.sendMessage(chatId, `✅ User ${targetChatId} is now on the ${PLANS[planKey].name} plan.`);
+}
+
+// Set quota command (admin only) - /setquota <chatId> <quota> <limit|default>
+async function handleSetQuota(bot, msg) {
+  const chatId = msg.chat.id;
+  const ADMIN_CHAT_ID = process.env.ADMIN_CHAT_ID;
+  
+  if (chatId.toString() !== ADMIN_CHAT_ID?.toString()) {
+    await bot.sendMessage(chatId, '❌ Access denied. Admin only.');
+    return;
+  }
+  
+  const [targetChatId, quotaKey, value] = (msg.text || '').split(/\s+/).slice(1);
+  const limit = parseInt(value);
+  if (!targetChatId || !QUOTA_LABELS[quotaKey] || (value !== 'default' && (isNaN(limit) || limit < 0))) {
+    await bot.sendMessage(chatId, `❌ Usage: /setquota <chatId> <${Object.keys(QUOTA_LABELS).join('|')}> <limit|default>`);
+    return;
+  }
+  
+  const users = await loadUsers();
+  if (!users[targetChatId]) {
+    await bot.sendMessage(chatId, `❌ User ${targetChatId} not found.`);
+    return;
+  }
+  
+  const quotaOverrides = { ...(users[targetChatId].quotaOverrides || {}) };
+  if (value === 'default') {
+    delete quotaOverrides[quotaKey];
+  } else {
+    quotaOverrides[quotaKey] = limit;
+  }
+  await updateUserPreferences(targetChatId, { quotaOverrides });
+  console.log(`💎 Admin set ${quotaKey} quota of ${targetChatId} to ${value}`);
+  await bot.sendMessage(chatId, `✅ Limit of ${QUOTA_LABELS[quotaKey][1]} for ${targetChatId}: ${value === 'default' ? 'plan default' : limit}.`);
+}
+
 // Handle token address input
 async function handleTokenAddress(bot, msg) {
   const chatId = msg.chat.id;
@@ -349,14 +958,15 @@ async function handleTokenAddress(bot, msg) {
       return;
     }
     
-    // Add token to user's custom tokens (limit to 1)
+    // Add token to user's custom tokens (within the plan quota)
     if (!userPrefs.customTokens) {
       userPrefs.customTokens = [];
     }
     
-    // Remove existing Solana token if adding new one
-    if (userPrefs.customTokens.length >= 1) {
-      userPrefs.customTokens = [];
+    if (!checkQuota(userPrefs, 'solanaTokens').allowed) {
+      clearTempFlag(chatId, 'waitingForTokenAddress');
+      await bot.sendMessage(chatId, `❌ Limit reached. ${formatQuotaReachedMessage(userPrefs, 'solanaTokens')}`);
+      return;
     }
     
     userPrefs.customTokens.push({
@@ -453,6 +1063,7 @@ async function handleTokenAddress(bot, msg) {
 async function handleTokenPrice(bot, msg, tokenKey) {
   const chatId = msg.chat.id;
   const tokenInfo = TOKENS[tokenKey];
+  const { timezone } = await getUserPreferences(chatId);
   
   if (!tokenInfo) {
     await bot.sendMessage(chatId, '❌ Invalid token.');
@@ -480,20 +1091,12 @@ async function handleTokenPrice(bot, msg, tokenKey) {
     const arrowEmoji = change24h >= 0 ? '📈' : '📉';
     
     // Format time
-    const now_formatted = new Date();
-    const athensTime = new Intl.DateTimeFormat('en-US', {
-      timeZone: 'Europe/Athens',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: false
-    }).format(now_formatted);
-    const utcTime = now_formatted.toUTCString().split(' ')[4];
+    const { localTime, utcTime } = getDisplayTimes(timezone);
     
     const emojiDisplay = tokenInfo.emoji ? `${tokenInfo.emoji} ` : '';
     const message = `${directionEmoji} *${emojiDisplay}${tokenInfo.name} ($${tokenInfo.symbol.toUpperCase()}) @ $${priceData.price}*\n\n` +
       `${arrowEmoji} 24h: ${change24h >= 0 ? '+' : ''}${priceData.change24h}%\n\n` +
-      `_Updated at: Local ${athensTime} (UTC: ${utcTime})_`;
+      `_Updated at: Local ${localTime} (UTC: ${utcTime})${formatSource(priceData)}_`;
     
     await bot.editMessageText(message, {
       chat_id: chatId,
@@ -506,21 +1109,74 @@ async function handleTokenPrice(bot, msg, tokenKey) {
   }
 }
 
-// Individual token handlers
-async function handleBTC(bot, msg) {
-  await handleTokenPrice(bot, msg, 'bitcoin');
-}
-
-async function handleETH(bot, msg) {
-  await handleTokenPrice(bot, msg, 'ethereum');
-}
-
-async function handleBNB(bot, msg) {
-  await handleTokenPrice(bot, msg, 'binancecoin');
+// Price command - /price <SYMBOL>, e.g. /price BTC or /price LINK
+async function handlePrice(bot, msg) {
+  const chatId = msg.chat.id;
+  const symbol = (msg.text || '').split(/\s+/)[1];
+  
+  if (!symbol) {
+    const symbols = Object.values(TOKENS).map(t => t.symbol.toUpperCase()).join(', ');
+    await bot.sendMessage(chatId, `💵 Usage: /price <SYMBOL>\n\nAvailable: ${symbols}\n\nAdd another coin with /addcoin <SYMBOL>`);
+    return;
+  }
+  
+  await initializeTokenRegistry();
+  const tokenKey = findTokenKey(symbol);
+  if (!tokenKey) {
+    const ticker = symbol.replace(/^\$/, '').toUpperCase();
+    await bot.sendMessage(chatId, `❌ ${ticker} isn't available yet. Add it with /addcoin ${ticker}`);
+    return;
+  }
+  
+  await handleTokenPrice(bot, msg, tokenKey);
 }
 
-async function handleSOL(bot, msg) {
-  await handleTokenPrice(bot, msg, 'solana');
+// Add coin command - /addcoin <SYMBOL> registers any major coin by ticker and tracks it
+async function handleAddCoin(bot, msg) {
+  const chatId = msg.chat.id;
+  const symbol = (msg.text || '').split(/\s+/)[1];
+  
+  if (!symbol) {
+    await bot.sendMessage(chatId, '🪙 Usage: /addcoin <SYMBOL>\n\nExample: /addcoin LINK');
+    return;
+  }
+  
+  const userInfo = await getUserPreferences(chatId);
+  const prefs = { ...userInfo };
+  delete prefs.isNew;
+  
+  const loadingMsg = await bot.sendMessage(chatId, `⏳ Looking up ${symbol.replace(/^\$/, '').toUpperCase()}...`);
+  const editLoading = (text) => bot.editMessageText(text, { chat_id: chatId, message_id: loadingMsg.message_id, parse_mode: 'Markdown' });
+  
+  try {
+    const result = await resolveAndRegisterToken(symbol, chatId);
+    if (result.error) {
+      await editLoading(`❌ ${result.error}`);
+      return;
+    }
+    
+    const tokenInfo = TOKENS[result.tokenKey];
+    const label = `${tokenInfo.name} ($${tokenInfo.symbol.toUpperCase()})`;
+    
+    if (prefs.tokens.includes(result.tokenKey)) {
+      await editLoading(`✅ You're already tracking ${label}.`);
+      return;
+    }
+    
+    if (!checkQuota(prefs, 'mainTokens').allowed) {
+      await editLoading(`❌ ${label} is available, but ${formatQuotaReachedMessage(prefs, 'mainTokens')}\n\nCheck its price any time with /price ${tokenInfo.symbol.toUpperCase()}`);
+      return;
+    }
+    
+    prefs.tokens.push(result.tokenKey);
+    await updateUserPreferences(chatId, { tokens: prefs.tokens });
+    scheduleUserUpdates(bot, chatId, prefs);
+    
+    await editLoading(`✅ Now tracking *${label}*!\n\nYou'll get price updates and drop/rise alerts for it. Check its price any time with /price ${tokenInfo.symbol.toUpperCase()}`);
+  } catch (error) {
+    console.error(`Error adding coin ${symbol}:`, error);
+    await editLoading('❌ An error occurred while adding the coin. Please try again.');
+  }
 }
 
 // Handle KOL command - list KOLs or show address for specific KOL
@@ -684,6 +1340,19 @@ async function sendKOLListPage(bot, chatId, page = 1) {
     callback_data: 'kol_page_info'
   }]);
   
+  // KOL alert settings
+  keyboard.inline_keyboard.push([{
+    text: '🎯 Alert Sources',
+    callback_data: 'menu_alertsources'
+  }, {
+    text: '⏳ Buy Alert Hold',
+    callback_data: 'menu_buyhold'
+  }]);
+  keyboard.inline_keyboard.push([{
+    text: '🎚 Alert Filters',
+    callback_data: 'menu_kolfilters'
+  }]);
+  
   // Add back button
   keyboard.inline_keyboard.push([{
     text: '🔙 Back to Menu',
@@ -696,6 +1365,172 @@ async function sendKOLListPage(bot, chatId, page = 1) {
   });
 }
 
+// KOL buy alert hold menu - how long buys wait for a quick sell before they're sent
+function buildBuyHoldMenu(prefs) {
+  const current = getKOLBuyHoldSeconds(prefs);
+  const label = (seconds) => seconds === 0 ? 'No hold' : seconds < 60 ? `${seconds}s` : `${seconds / 60} min`;
+  const rows = [];
+  for (let i = 0; i < KOL_BUY_HOLD_OPTIONS.length; i += 3) {
+    rows.push(KOL_BUY_HOLD_OPTIONS.slice(i, i + 3).map(seconds => ({
+      text: `${seconds === current ? '✅ ' : ''}${label(seconds)}`,
+      callback_data: `buyhold_set_${seconds}`
+    })));
+  }
+  rows.push([{ text: '🔙 KOL List', callback_data: 'menu_kols' }]);
+  
+  return {
+    text: `⏳ *KOL Buy Alert Hold*\n\n` +
+      `Current: *${label(current)}*\n\n` +
+      `Buy alerts wait this long before they're sent. If the KOL sells within the window, you get one combined buy + sell alert instead of chasing an instant flip. Sells are always sent right away.\n\n` +
+      `_Custom: /buyhold 90 (seconds, max ${MAX_KOL_BUY_HOLD_SECONDS})_`,
+    keyboard: { inline_keyboard: rows }
+  };
+}
+
+// Buy hold command - /buyhold or /buyhold <seconds>
+async function handleBuyHold(bot, msg) {
+  const chatId = msg.chat.id;
+  const text = msg.text || '';
+  const arg = text.split(/\s+/)[1];
+  const userInfo = await getUserPreferences(chatId);
+  const prefs = { ...userInfo };
+  delete prefs.isNew;
+  
+  if (!arg) {
+    const menu = buildBuyHoldMenu(prefs);
+    await bot.sendMessage(chatId, menu.text, {
+      reply_markup: menu.keyboard,
+      parse_mode: 'Markdown'
+    });
+    return;
+  }
+  
+  const seconds = Number(arg);
+  if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_KOL_BUY_HOLD_SECONDS) {
+    await bot.sendMessage(chatId, `❌ Please specify a whole number of seconds between 0 and ${MAX_KOL_BUY_HOLD_SECONDS}.\n\nExample: /buyhold 90 or /buyhold 0 to send buys right away`);
+    return;
+  }
+  
+  await updateUserPreferences(chatId, { kolBuyHoldSeconds: seconds });
+  await bot.sendMessage(chatId, seconds === 0
+    ? '⚡ KOL buy alerts will be sent right away.'
+    : `⏳ KOL buy alerts will wait *${seconds}s* for a quick sell before they're sent.`, { parse_mode: 'Markdown' });
+}
+
+// KOL alert sources menu - which reasons can trigger a KOL trade alert, each toggled on/off
+function buildAlertSourcesMenu(prefs) {
+  const enabled = getKOLAlertSources(prefs);
+  const rows = Object.entries(KOL_ALERT_SOURCES).map(([key, source]) => [{
+    text: `${enabled[key] ? '✅' : '❌'} ${source.label}`,
+    callback_data: `kolsrc_toggle_${key}`
+  }]);
+  rows.push([{ text: '🔙 KOL List', callback_data: 'menu_kols' }]);
+  
+  const descriptions = Object.entries(KOL_ALERT_SOURCES)
+    .map(([key, source]) => `${enabled[key] ? '✅' : '❌'} *${source.label}* - ${source.description}`)
+    .join('\n');
+  
+  return {
+    text: `🎯 *KOL Alert Sources*\n\n` +
+      `You get a KOL trade alert when any switched-on source matches:\n\n${descriptions}\n\n` +
+      `_Tap a source to switch it on or off._`,
+    keyboard: { inline_keyboard: rows }
+  };
+}
+
+// Alert sources command - /alertsources
+async function handleAlertSources(bot, msg) {
+  const chatId = msg.chat.id;
+  const userInfo = await getUserPreferences(chatId);
+  const prefs = { ...userInfo };
+  delete prefs.isNew;
+  
+  const menu = buildAlertSourcesMenu(prefs);
+  await bot.sendMessage(chatId, menu.text, {
+    reply_markup: menu.keyboard,
+    parse_mode: 'Markdown'
+  });
+}
+
+// KOL alert filters menu for one scope: 'g' (global) or a tracked KOL's address
+function buildKOLFiltersMenu(prefs, scope = 'g') {
+  const isGlobal = scope === 'g';
+  const filters = getKOLFilters(prefs, isGlobal ? null : scope);
+  // Markdown characters in KOL names would break the message
+  const kolName = isGlobal ? null : getWalletName(scope, prefs).replace(/[_*`[\]]/g, '');
+  const usesGlobal = !isGlobal && !hasOwnKOLFilters(prefs, scope);
+  const onOff = (value) => value ? '✅' : '❌';
+  const sideLabels = { both: 'Buys & sells', buys: 'Buys only', sells: 'Sells only' };
+  
+  const rows = [
+    [
+      { text: `💰 Min: ${filters.minSol > 0 ? `${filters.minSol} SOL` : 'any'}`, callback_data: `kf_minsol_${scope}` },
+      { text: `↕️ ${sideLabels[filters.side] || sideLabels.both}`, callback_data: `kf_side_${scope}` }
+    ],
+    [
+      { text: `📉 Min mcap: ${formatFilterMarketCap(filters.minMarketCap)}`, callback_data: `kf_minmc_${scope}` },
+      { text: `📈 Max mcap: ${formatFilterMarketCap(filters.maxMarketCap)}`, callback_data: `kf_maxmc_${scope}` }
+    ],
+    [{ text: `${onOff(filters.firstBuyOnly)} First buys only`, callback_data: `kf_first_${scope}` }],
+    [{ text: `${onOff(filters.excludeInstantFlips)} Exclude instant flips`, callback_data: `kf_flips_${scope}` }],
+    [{ text: `${onOff(filters.excludeFarming)} Exclude low mcap farming`, callback_data: `kf_farm_${scope}` }]
+  ];
+  if (!isGlobal && !usesGlobal) {
+    rows.push([{ text: '♻️ Use global filters', callback_data: `kf_reset_${scope}` }]);
+  }
+  rows.push([
+    isGlobal
+      ? { text: '👥 Per-KOL filters', callback_data: 'kf_kols' }
+      : { text: '🌐 Global filters', callback_data: 'kf_scope_g' },
+    { text: '🔙 KOL List', callback_data: 'menu_kols' }
+  ]);
+  
+  const title = isGlobal ? 'all KOLs' : kolName;
+  const note = isGlobal
+    ? 'Applies to every KOL without its own filters.'
+    : usesGlobal
+      ? 'Using your global filters - change any setting to give this KOL its own.'
+      : 'This KOL has its own filters (your global ones are ignored for it).';
+  
+  return {
+    text: `🎚 *KOL Alert Filters - ${title}*\n\n` +
+      `${note}\n\n` +
+      `Tap a button to change it. Alerts that don't pass are not sent.\n` +
+      `_First buys only: skip buys that add to an existing position. Instant flip: sold again within a minute of buying._`,
+    keyboard: { inline_keyboard: rows }
+  };
+}
+
+// Pick which tracked KOL's filters to edit
+function buildKOLFilterScopeMenu(prefs) {
+  const trackedKOLs = prefs.trackedKOLs || [];
+  const rows = trackedKOLs.map(address => {
+    return [{ text: `${hasOwnKOLFilters(prefs, address) ? '⚙️ ' : ''}${getWalletName(address, prefs)}`, callback_data: `kf_scope_${address}` }];
+  });
+  rows.push([{ text: '🌐 Global filters', callback_data: 'kf_scope_g' }]);
+  
+  return {
+    text: trackedKOLs.length > 0
+      ? `👥 *Per-KOL Filters*\n\nPick a tracked KOL to give it its own filters. ⚙️ = has its own filters.`
+      : `👥 *Per-KOL Filters*\n\nYou're not tracking any KOLs yet. Use /kol to pick some.`,
+    keyboard: { inline_keyboard: rows }
+  };
+}
+
+// Filters command - /filters
+async function handleKOLFilters(bot, msg) {
+  const chatId = msg.chat.id;
+  const userInfo = await getUserPreferences(chatId);
+  const prefs = { ...userInfo };
+  delete prefs.isNew;
+  
+  const menu = buildKOLFiltersMenu(prefs);
+  await bot.sendMessage(chatId, menu.text, {
+    reply_markup: menu.keyboard,
+    parse_mode: 'Markdown'
+  });
+}
+
 // Handle track KOL command
 async function handleTrackKOL(bot, msg) {
   const chatId = msg.chat.id;
@@ -754,9 +1589,9 @@ async function handleTrackKOL(bot, msg) {
       return;
     }
     
-    // Check if user has reached the limit of 2 KOLs
-    if (trackedKOLs.length >= 2) {
-      await bot.sendMessage(chatId, `❌ Maximum limit reached! You can only track 2 KOLs at a time. Please use /untrackkol to remove one first.`, {
+    // Check the user's KOL quota
+    if (!checkQuota(userPrefs, 'kols').allowed) {
+      await bot.sendMessage(chatId, `❌ Maximum limit reached! ${formatQuotaReachedMessage(userPrefs, 'kols')}`, {
         parse_mode: 'HTML'
       });
       return;
@@ -775,6 +1610,72 @@ async function handleTrackKOL(bot, msg) {
   }
 }
 
+// Track any Solana wallet like a KOL - /trackwallet <address> <label>
+// The label is private to this user; running it again for a tracked wallet renames it
+async function handleTrackWallet(bot, msg) {
+  const chatId = msg.chat.id;
+  const text = msg.text || '';
+  const [address, ...labelParts] = text.split(/\s+/).slice(1);
+  // Labels go into HTML alerts - drop the characters that would break them
+  const label = labelParts.join(' ').replace(/[<>&]/g, '').trim().substring(0, MAX_WALLET_LABEL_LENGTH);
+  
+  if (!address || !label) {
+    await bot.sendMessage(chatId, '❌ Please specify a wallet address and a label.\n\nExample: /trackwallet 7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU Whale 1');
+    return;
+  }
+  
+  if (!isValidSolanaAddress(address)) {
+    await bot.sendMessage(chatId, '❌ That\'s not a valid Solana wallet address.');
+    return;
+  }
+  
+  try {
+    const userPrefs = await getUserPreferences(chatId);
+    const trackedKOLs = userPrefs.trackedKOLs || [];
+    const walletLabels = { ...(userPrefs.walletLabels || {}) };
+    
+    // Curated KOLs already have a name
+    if (KOL_ADDRESSES[address]) {
+      if (trackedKOLs.includes(address)) {
+        await bot.sendMessage(chatId, `✅ That's <b>${KOL_ADDRESSES[address][0]}</b> from the KOL list - you're already tracking them!`, {
+          parse_mode: 'HTML'
+        });
+        return;
+      }
+    } else {
+      walletLabels[address] = label;
+    }
+    
+    if (trackedKOLs.includes(address)) {
+      await updateUserPreferences(chatId, { walletLabels });
+      await bot.sendMessage(chatId, `✏️ Renamed wallet to <b>${label}</b>.`, {
+        parse_mode: 'HTML'
+      });
+      return;
+    }
+    
+    // Tracked wallets count towards the KOL quota
+    if (!checkQuota(userPrefs, 'kols').allowed) {
+      await bot.sendMessage(chatId, `❌ Maximum limit reached! ${formatQuotaReachedMessage(userPrefs, 'kols')}`, {
+        parse_mode: 'HTML'
+      });
+      return;
+    }
+    
+    trackedKOLs.push(address);
+    await updateUserPreferences(chatId, { trackedKOLs, walletLabels });
+    
+    const isKOL = Boolean(KOL_ADDRESSES[address]);
+    const name = isKOL ? KOL_ADDRESSES[address][0] : label;
+    await bot.sendMessage(chatId, `✅ Now tracking <b>${name}</b>${isKOL ? ' from the KOL list' : ''}!\n\nYou'll receive alerts when this wallet buys or sells tokens.${isKOL ? '' : ' Only you can see this label.'}\n\n💡 Use /untrackkol ${name} to stop tracking it.`, {
+      parse_mode: 'HTML'
+    });
+  } catch (error) {
+    console.error('Error tracking wallet:', error);
+    await bot.sendMessage(chatId, '❌ An error occurred while tracking the wallet.');
+  }
+}
+
 // Handle untrack KOL command
 async function handleUntrackKOL(bot, msg) {
   const chatId = msg.chat.id;
@@ -786,16 +1687,13 @@ async function handleUntrackKOL(bot, msg) {
     const trackedKOLs = userPrefs.trackedKOLs || [];
     
     if (trackedKOLs.length === 0) {
-      await bot.sendMessage(chatId, '❌ You\'re not tracking any KOLs. Use /trackkol [name] to start tracking.');
+      await bot.sendMessage(chatId, '❌ You\'re not tracking any KOLs. Use /trackkol [name] to start tracking, or /trackwallet [address] [label] for any wallet.');
       return;
     }
     
     if (!args) {
-      // List tracked KOLs
-      const kolList = trackedKOLs.map(address => {
-        const names = KOL_ADDRESSES[address];
-        return names ? names[0] : address.substring(0, 8) + '...';
-      }).join('\n');
+      // List tracked KOLs (wallets added with /trackwallet show the user's label)
+      const kolList = trackedKOLs.map(address => getWalletName(address, userPrefs)).join('\n');
       
       await bot.sendMessage(chatId, `📋 <b>Tracked KOLs:</b>\n\n${kolList}\n\n💡 Use /untrackkol [name] to stop tracking a KOL.`, {
         parse_mode: 'HTML'
@@ -808,8 +1706,15 @@ async function handleUntrackKOL(bot, msg) {
     let foundAddress = null;
     let foundName = null;
     
-    // Try exact match first
-    if (KOL_NAME_TO_ADDRESS[searchName]) {
+    // The user's own wallets first, by address or label
+    const walletLabels = userPrefs.walletLabels || {};
+    const ownWallet = trackedKOLs.find(address => address === args || (walletLabels[address] || '').toLowerCase() === searchName);
+    
+    if (ownWallet) {
+      foundAddress = ownWallet;
+      foundName = getWalletName(ownWallet, userPrefs);
+    } else if (KOL_NAME_TO_ADDRESS[searchName]) {
+      // Try exact match
       foundAddress = KOL_NAME_TO_ADDRESS[searchName];
       for (const [address, names] of Object.entries(KOL_ADDRESSES)) {
         if (address === foundAddress) {
@@ -838,9 +1743,11 @@ async function handleUntrackKOL(bot, msg) {
       return;
     }
     
-    // Remove from tracked KOLs
+    // Remove from tracked KOLs (and forget the wallet's label)
     const updatedKOLs = trackedKOLs.filter(addr => addr !== foundAddress);
-    await updateUserPreferences(chatId, { trackedKOLs: updatedKOLs });
+    const updatedLabels = { ...walletLabels };
+    delete updatedLabels[foundAddress];
+    await updateUserPreferences(chatId, { trackedKOLs: updatedKOLs, walletLabels: updatedLabels });
     
     await bot.sendMessage(chatId, `✅ Stopped tracking <b>${foundName}</b>.`, {
       parse_mode: 'HTML'
@@ -951,21 +1858,41 @@ module.exports = {
   handleStart,
   handleSelect,
   handleInterval,
+  handleThreshold,
+  handleRise,
+  handleTarget,
   handleMyTokens,
   handleAddToken,
   handleCancel,
   handleStop,
   handleAdmin,
   handleTokenAddress,
-  handleBTC,
-  handleETH,
-  handleBNB,
-  handleSOL,
+  handlePrice,
+  handleAddCoin,
   handleKOL,
   handleTrackKOL,
   handleUntrackKOL,
+  handleTrackWallet,
   handleLeaderboardSync,
   handleLeaderboard,
-  sendKOLListPage
+  sendKOLListPage,
+  buildThresholdMenu,
+  buildThresholdOptions,
+  buildTargetList,
+  handleTimezone,
+  handleQuiet,
+  buildQuietHoursMenu,
+  handleBuyHold,
+  buildBuyHoldMenu,
+  handleAlertSources,
+  buildAlertSourcesMenu,
+  handleKOLFilters,
+  buildKOLFiltersMenu,
+  buildKOLFilterScopeMenu,
+  buildUpdateModeButton,
+  buildMainTokenKeyboard,
+  handlePlan,
+  handleSetPlan,
+  handleSetQuota
 };
 
@@ -0,0 +1,99 @@
+const { getAlertState, saveAlertState } = require('../utils/storage');
+const { ALERT_RULES, DEFAULT_ALERT_RULE } = require('../config/alerts');
+
+// Get the cooldown / escalation rule for an alert type
+function getAlertRule(alertType) {
+  return ALERT_RULES[alertType] || DEFAULT_ALERT_RULE;
+}
+
+// Is this state still an open alert (not resolved and not expired)?
+function isActiveState(state, rule, now) {
+  if (!state || !state.active || !state.lastAlertAt) return false;
+  return now - state.lastAlertAt < (rule.expireHours || 24) * 60 * 60 * 1000;
+}
+
+// Decide whether an alert should be sent, based on the last alert for the same (chat, token, type)
+// options.value: current price (drop/rise alerts, used for escalation)
+// options.escalationPercent: fallback when the rule doesn't set one (e.g. the user's threshold)
+// Returns { send, reason } - reason is 'new', 'escalation', 'cooldown' or 'duplicate'
+async function shouldSendAlert(chatId, tokenKey, alertType, options = {}) {
+  const rule = getAlertRule(alertType);
+  const now = Date.now();
+  const state = await getAlertState(chatId, tokenKey, alertType);
+
+  if (!isActiveState(state, rule, now)) {
+    return { send: true, reason: 'new' };
+  }
+
+  // Never send two alerts of the same kind closer than the cooldown
+  if (now - state.lastAlertAt < (rule.cooldownMinutes || 0) * 60 * 1000) {
+    return { send: false, reason: 'cooldown' };
+  }
+
+  // Alerts without a price (boosts, KOL trades) can fire again once the cooldown is over
+  const escalationPercent = rule.escalationPercent || options.escalationPercent;
+  if (options.value === undefined || options.value === null || !state.alertValue || !escalationPercent) {
+    return { send: true, reason: 'new' };
+  }
+
+  // Drop/rise alerts only fire again if the move deepened by another escalationPercent
+  const sinceLast = ((options.value - state.alertValue) / state.alertValue) * 100;
+  const furtherMove = alertType === 'drop' ? -sinceLast : sinceLast;
+  if (furtherMove >= escalationPercent) {
+    return { send: true, reason: 'escalation' };
+  }
+
+  return { send: false, reason: 'duplicate' };
+}
+
+// Record that an alert was sent
+// value: price at alert time, referenceValue: price before the move (for recovery detection)
+async function recordAlert(chatId, tokenKey, alertType, value = null, referenceValue = null) {
+  const rule = getAlertRule(alertType);
+  const now = Date.now();
+  const state = await getAlertState(chatId, tokenKey, alertType);
+  const wasActive = isActiveState(state, rule, now);
+
+  await saveAlertState({
+    chatId,
+    tokenKey,
+    alertType,
+    active: true,
+    lastAlertAt: now,
+    alertValue: value,
+    // Keep the original pre-move price across escalations
+    referenceValue: wasActive && state.referenceValue ? state.referenceValue : referenceValue,
+    alertCount: wasActive ? (state.alertCount || 0) + 1 : 1
+  });
+}
+
+// Check whether an active drop/rise alert has resolved (price back near the pre-move price)
+// Returns the resolved state if a "resolved" message should be sent, otherwise null
+async function resolveAlert(chatId, tokenKey, alertType, value) {
+  const rule = getAlertRule(alertType);
+  if (rule.resolvePercent === undefined) return null;
+
+  const state = await getAlertState(chatId, tokenKey, alertType);
+  if (!state || !state.active || !state.referenceValue) return null;
+
+  const now = Date.now();
+  if (!isActiveState(state, rule, now)) {
+    // Expired - forget it quietly
+    await saveAlertState({ ...state, active: false });
+    return null;
+  }
+
+  const recovered = alertType === 'drop'
+    ? value >= state.referenceValue * (1 - rule.resolvePercent / 100)
+    : value <= state.referenceValue * (1 + rule.resolvePercent / 100);
+  if (!recovered) return null;
+
+  await saveAlertState({ ...state, active: false });
+  return rule.resolveMessage ? state : null;
+}
+
+module.exports = {
+  shouldSendAlert,
+  recordAlert,
+  resolveAlert
+};
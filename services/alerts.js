@@ -1,7 +1,14 @@
-const { getAllTokenPrices, getSolanaTokenPrice } = require('../utils/api');
-const { loadPriceHistory, savePriceHistory, loadUsers } = require('../utils/storage');
-const { TOKENS } = require('../config/tokens');
-const { sendPriceDropAlert, sendCustomTokenUpdate } = require('./priceUpdates');
+const { getAllTokenPrices, getSolanaTokenPrices } = require('../utils/api');
+const { loadPriceHistory, savePriceHistory, appendPriceHistory, loadUsers, loadPriceTargets, updatePriceTarget, deletePriceTarget } = require('../utils/storage');
+const { TOKENS, DEFAULT_DROP_THRESHOLDS, DEFAULT_RISE_THRESHOLDS, ALERT_WINDOWS } = require('../config/tokens');
+const { sendPriceDropAlert, sendPriceRiseAlert, sendPriceResolvedAlert, sendCustomTokenUpdate } = require('./priceUpdates');
+const { shouldSendAlert, recordAlert, resolveAlert } = require('./alertState');
+const { formatRiseAlertMessage, formatTargetAlertMessage, formatResolvedAlertMessage, formatSolanaLinks, formatSource } = require('../utils/messages');
+const { queueIfQuiet } = require('./quietHours');
+const { sendMessage } = require('./deliveryQueue');
+const { initializeTokenRegistry } = require('./tokenRegistry');
+const { getDisplayTimes } = require('../utils/time');
+const { getMarketCapFromPrice } = require('../utils/tokenSupply');
 
 // Helper function to format market cap with k/M/B suffixes
 function formatMarketCap(value) {
@@ -15,16 +22,84 @@ function formatMarketCap(value) {
   return `$${value.toFixed(2)}`;
 }
 
-// Helper function to calculate market cap from price (1B supply for Solana tokens)
-function calculateMarketCapFromPrice(price) {
-  const priceNum = parseFloat(price);
-  if (isNaN(priceNum) || priceNum <= 0) return null;
-  // Solana tokens have 1B supply
-  return priceNum * 1e9;
+// Format a target value for display - market cap with k/M/B suffixes, price with enough decimals
+function formatTargetValue(metric, value) {
+  if (metric === 'mcap') {
+    return formatMarketCap(value);
+  }
+  if (value >= 1) {
+    return `$${value.toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+  }
+  return `$${value.toFixed(value < 0.01 ? 8 : 6)}`;
+}
+
+// Get the drop alert threshold (%) a user set for a token, or the default
+// tokenKey is the TOKENS key for main tokens or the mint address for Solana tokens
+function getDropThreshold(userPrefs, tokenKey, isSolanaToken = false) {
+  const threshold = parseFloat(userPrefs?.dropThresholds?.[tokenKey]);
+  if (!isNaN(threshold) && threshold > 0) {
+    return threshold;
+  }
+  return isSolanaToken ? DEFAULT_DROP_THRESHOLDS.solana : DEFAULT_DROP_THRESHOLDS.main;
+}
+
+// Get the rise alert threshold (%) a user set for a token, or the default
+function getRiseThreshold(userPrefs, tokenKey, isSolanaToken = false) {
+  const threshold = parseFloat(userPrefs?.riseThresholds?.[tokenKey]);
+  if (!isNaN(threshold) && threshold > 0) {
+    return threshold;
+  }
+  return isSolanaToken ? DEFAULT_RISE_THRESHOLDS.solana : DEFAULT_RISE_THRESHOLDS.main;
+}
+
+// Get the price change over each alert window from a token's price history
+// Returns [{ window, referencePrice, changePercent }], shortest window first,
+// only for windows the history actually covers
+function getWindowChanges(history, currentPrice, now = Date.now()) {
+  const changes = [];
+  for (const window of ALERT_WINDOWS) {
+    const windowMs = window.minutes * 60 * 1000;
+    const windowStart = now - windowMs;
+    
+    // Latest point at or before the window start
+    let reference = null;
+    for (let i = (history || []).length - 1; i >= 0; i--) {
+      if (history[i].timestamp <= windowStart) {
+        reference = history[i];
+        break;
+      }
+    }
+    
+    // Skip if there's no point, or it's far older than the window (gap in history, e.g. after downtime)
+    if (!reference || reference.price <= 0 || windowStart - reference.timestamp > windowMs / 2) {
+      continue;
+    }
+    
+    changes.push({
+      window,
+      referencePrice: reference.price,
+      changePercent: ((currentPrice - reference.price) / reference.price) * 100
+    });
+  }
+  return changes;
+}
+
+// Find the shortest window whose move reaches the threshold in the given direction ('drop' or 'rise')
+function findTrippedWindow(windowChanges, direction, threshold) {
+  for (const change of windowChanges) {
+    const movePercent = direction === 'drop' ? -change.changePercent : change.changePercent;
+    if (movePercent >= threshold) {
+      return { ...change, movePercent };
+    }
+  }
+  return null;
 }
 
-// Check for price drops and send instant alerts
+// Check for price drops and rises over the alert windows and send instant alerts
 async function checkPriceDrops(bot) {
+  // Make sure coins added with /addcoin are in TOKENS
+  await initializeTokenRegistry();
+  
   const priceHistory = await loadPriceHistory();
   const users = await loadUsers();
   
@@ -40,42 +115,73 @@ async function checkPriceDrops(bot) {
       const data = allPrices[tokenInfo.id];
       const currentPrice = parseFloat(data.usd);
       const change24h = data.usd_24h_change;
-      const lastPrice = priceHistory[tokenKey]?.price;
+      const checkedAt = Date.now();
       
-      // Update price history
-      priceHistory[tokenKey] = {
-        price: currentPrice,
-        timestamp: Date.now()
-      };
+      // Record the price, then compare against each alert window
+      appendPriceHistory(priceHistory, tokenKey, currentPrice, checkedAt);
       await savePriceHistory(priceHistory);
       
-      // If we have a previous price, check for drop
-      if (lastPrice && lastPrice > 0) {
-        const dropPercentage = ((lastPrice - currentPrice) / lastPrice) * 100;
+      const windowChanges = getWindowChanges(priceHistory[tokenKey].history, currentPrice, checkedAt);
+      
+      const currentPriceData = {
+        price: currentPrice.toFixed(2),
+        change24h: change24h ? change24h.toFixed(2) : '0.00',
+        emoji: change24h >= 0 ? '📈' : '📉',
+        source: data.source
+      };
+      
+      // Find all users who have this token, are subscribed and whose threshold was reached
+      for (const [chatId, userPrefs] of Object.entries(users)) {
+        if (!userPrefs.subscribed || !userPrefs.tokens.includes(tokenKey)) continue;
         
-        // If price dropped more than 5%, send alerts to all users who have this token
-        if (dropPercentage >= 5) {
-          console.log(`🚨 Alert: ${tokenInfo.name} dropped ${dropPercentage.toFixed(2)}% (${lastPrice} -> ${currentPrice})`);
-          
-          const currentPriceData = {
-            price: currentPrice.toFixed(2),
-            change24h: change24h ? change24h.toFixed(2) : '0.00',
-            emoji: change24h >= 0 ? '📈' : '📉'
-          };
-          
-          // Find all users who have this token and are subscribed
-          for (const [chatId, userPrefs] of Object.entries(users)) {
-            if (userPrefs.subscribed && userPrefs.tokens.includes(tokenKey)) {
-              await sendPriceDropAlert(bot, chatId, tokenKey, currentPriceData, dropPercentage, lastPrice.toFixed(2));
-              await new Promise(resolve => setTimeout(resolve, 100));
+        for (const direction of ['drop', 'rise']) {
+          // Let the user know once the price has recovered from an earlier drop
+          const resolvedState = await resolveAlert(chatId, tokenKey, direction, currentPrice);
+          if (resolvedState) {
+            const resolvedSummary = `✅ $${tokenInfo.symbol} recovered to $${currentPriceData.price}`;
+            if (!(await queueIfQuiet(chatId, userPrefs, 'resolved', resolvedSummary))) {
+              await sendPriceResolvedAlert(bot, chatId, tokenKey, currentPriceData, resolvedState, userPrefs.timezone);
             }
           }
+          
+          const threshold = direction === 'drop'
+            ? getDropThreshold(userPrefs, tokenKey)
+            : getRiseThreshold(userPrefs, tokenKey);
+          const tripped = findTrippedWindow(windowChanges, direction, threshold);
+          if (!tripped) continue;
+          
+          // Skip repeats of an alert the user already got, unless the move deepened
+          const decision = await shouldSendAlert(chatId, tokenKey, direction, { value: currentPrice, escalationPercent: threshold });
+          if (!decision.send) {
+            console.log(`🔕 ${tokenInfo.name} ${direction} alert for user ${chatId} suppressed (${decision.reason})`);
+            continue;
+          }
+          await recordAlert(chatId, tokenKey, direction, currentPrice, tripped.referencePrice);
+          
+          if (direction === 'drop') {
+            console.log(`🚨 Alert: ${tokenInfo.name} dropped ${tripped.movePercent.toFixed(2)}% over ${tripped.window.label} (${tripped.referencePrice} -> ${currentPrice}), user ${chatId} threshold ${threshold}%`);
+            await sendPriceDropAlert(bot, chatId, tokenKey, currentPriceData, tripped.movePercent, tripped.referencePrice.toFixed(2), threshold, tripped.window.label, userPrefs.timezone);
+          } else {
+            console.log(`🚀 Alert: ${tokenInfo.name} rose ${tripped.movePercent.toFixed(2)}% over ${tripped.window.label} (${tripped.referencePrice} -> ${currentPrice}), user ${chatId} threshold ${threshold}%`);
+            const riseSummary = `🚀 $${tokenInfo.symbol} +${tripped.movePercent.toFixed(2)}% in ${tripped.window.label} @ $${currentPriceData.price}`;
+            if (await queueIfQuiet(chatId, userPrefs, 'rise', riseSummary)) continue;
+            await sendPriceRiseAlert(bot, chatId, tokenKey, currentPriceData, tripped.movePercent, tripped.referencePrice.toFixed(2), threshold, tripped.window.label, userPrefs.timezone);
+          }
         }
       }
     }
   }
   
-  // Check custom Solana tokens for price drops
+  // Check custom Solana tokens for price drops and rises
+  // Every unique mint across users is fetched once, in batches, and reused for target checks below
+  const trackedMints = Object.values(users)
+    .filter(userPrefs => userPrefs.subscribed)
+    .flatMap(userPrefs => (userPrefs.customTokens || []).map(customToken => customToken.address));
+  const targetMints = (await loadPriceTargets())
+    .filter(target => target.tokenType !== 'main')
+    .map(target => target.tokenKey);
+  const solanaPrices = await getSolanaTokenPrices([...trackedMints, ...targetMints]);
+  
   for (const [chatId, userPrefs] of Object.entries(users)) {
     if (!userPrefs.subscribed || !userPrefs.customTokens || userPrefs.customTokens.length === 0) {
       continue;
@@ -84,7 +190,7 @@ async function checkPriceDrops(bot) {
     for (const customToken of userPrefs.customTokens) {
       if (!customToken.address) continue;
       
-      const priceData = await getSolanaTokenPrice(customToken.address);
+      const priceData = solanaPrices[customToken.address];
       if (!priceData) continue;
       
       // Use stored token info (metadata fetched once when token was added)
@@ -92,39 +198,56 @@ async function checkPriceDrops(bot) {
       
       const currentPrice = parseFloat(priceData.price);
       const historyKey = `solana_${customToken.address}`;
-      const lastPrice = priceHistory[historyKey]?.price;
+      const checkedAt = Date.now();
       
-      // Update price history
-      priceHistory[historyKey] = {
-        price: currentPrice,
-        timestamp: Date.now()
-      };
+      // Record the price, then compare against each alert window
+      // (several users can track the same token, the history keeps one point per minute)
+      appendPriceHistory(priceHistory, historyKey, currentPrice, checkedAt);
       await savePriceHistory(priceHistory);
       
-      // Check for 20% drop (Solana tokens are volatile)
-      if (lastPrice && lastPrice > 0) {
-        const dropPercentage = ((lastPrice - currentPrice) / lastPrice) * 100;
+      const windowChanges = getWindowChanges(priceHistory[historyKey].history, currentPrice, checkedAt);
+      const priceDecimals = priceData.price.includes('.') ? priceData.price.split('.')[1].length : 2;
+      
+      // Let the user know once the price has recovered from an earlier drop
+      for (const direction of ['drop', 'rise']) {
+        const resolvedState = await resolveAlert(chatId, customToken.address, direction, currentPrice);
+        if (resolvedState) {
+          const resolvedSummary = `✅ $${(alertTokenInfo.symbol || '').toUpperCase()} recovered to $${priceData.price}`;
+          if (await queueIfQuiet(chatId, userPrefs, 'resolved', resolvedSummary)) continue;
+          const resolvedMessage = formatResolvedAlertMessage(alertTokenInfo, priceData, resolvedState, customToken.address, userPrefs.timezone);
+          try {
+            await sendMessage(bot, chatId, resolvedMessage, { parse_mode: 'Markdown', disable_web_page_preview: true }, 'alert');
+          } catch (error) {
+            console.error(`Error sending resolved alert to ${chatId}:`, error.message);
+          }
+        }
+      }
+      
+      // Check for drop against the user's threshold (defaults to 20%, Solana tokens are volatile)
+      if (windowChanges.length > 0) {
+        const threshold = getDropThreshold(userPrefs, customToken.address, true);
+        const dropWindow = findTrippedWindow(windowChanges, 'drop', threshold);
+        const dropDecision = dropWindow
+          ? await shouldSendAlert(chatId, customToken.address, 'drop', { value: currentPrice, escalationPercent: threshold })
+          : null;
+        if (dropDecision && !dropDecision.send) {
+          console.log(`🔕 ${alertTokenInfo.symbol} drop alert for user ${chatId} suppressed (${dropDecision.reason})`);
+        }
         
-        if (dropPercentage >= 20) {
-          console.log(`🚨 Alert: ${alertTokenInfo.symbol} (${customToken.address}) dropped ${dropPercentage.toFixed(2)}%`);
+        if (dropDecision && dropDecision.send) {
+          const dropPercentage = dropWindow.movePercent;
+          await recordAlert(chatId, customToken.address, 'drop', currentPrice, dropWindow.referencePrice);
+          console.log(`🚨 Alert: ${alertTokenInfo.symbol} (${customToken.address}) dropped ${dropPercentage.toFixed(2)}% over ${dropWindow.window.label}`);
           
           const change24h = parseFloat(priceData.change24h);
-          const now = new Date();
-          const athensTime = new Intl.DateTimeFormat('en-US', {
-            timeZone: 'Europe/Athens',
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit',
-            hour12: false
-          }).format(now);
-          const utcTime = now.toUTCString().split(' ')[4];
+          const { localTime, utcTime } = getDisplayTimes(userPrefs.timezone);
           const arrowEmoji = change24h >= 0 ? '📈' : '📉';
           
           // Format market cap for message preview
-          // Calculate from price if market cap not available (Solana tokens have 1B supply)
+          // Calculate from price and the mint's real supply if market cap not available
           let marketCap = alertTokenInfo.marketCap;
           if (!marketCap) {
-            marketCap = calculateMarketCapFromPrice(priceData.price);
+            marketCap = await getMarketCapFromPrice(customToken.address, priceData.price);
           }
           const mcapText = marketCap 
             ? formatMarketCap(marketCap)
@@ -132,9 +255,9 @@ async function checkPriceDrops(bot) {
           
           // Build alert message - start with format visible in message list
           let alertMessage = `🚨 *ALERT - $${(alertTokenInfo.symbol || '').toUpperCase()} @ ${mcapText}*\n\n` +
-            `⚠️ *20%+ Drop Detected!*\n\n` +
-            `🔴 *$${(alertTokenInfo.symbol || '').toUpperCase()} @ $${priceData.price}* (was $${lastPrice.toFixed(priceData.price.includes('.') ? priceData.price.split('.')[1].length : 2)})\n` +
-            `📉 *Drop: -${dropPercentage.toFixed(2)}%*\n` +
+            `⚠️ *${threshold}%+ Drop Detected!*\n\n` +
+            `🔴 *$${(alertTokenInfo.symbol || '').toUpperCase()} @ $${priceData.price}* (was $${dropWindow.referencePrice.toFixed(priceDecimals)})\n` +
+            `📉 *Drop: -${dropPercentage.toFixed(2)}% in ${dropWindow.window.label}*\n` +
             `${arrowEmoji} 24h: ${change24h >= 0 ? '+' : ''}${priceData.change24h}%\n\n`;
           
           // Add creator wallet if available
@@ -180,33 +303,137 @@ async function checkPriceDrops(bot) {
           }
           
           // Add links section for Solana tokens
-          const linksSection = `\n🔗 *Links:*\n` +
-            `[GMGN](https://gmgn.ai/sol/token/${customToken.address}) | ` +
-            `[Axiom](https://axiom.trade/meme/${customToken.address}?chain=sol) | ` +
-            `[Padre](https://trade.padre.gg/trade/solana/${customToken.address}) | ` +
-            `[DexScreener](https://dexscreener.com/solana/${customToken.address})`;
+          alertMessage += formatSolanaLinks(customToken.address);
+          alertMessage += `\n\n_Alert at: Local ${localTime} (UTC: ${utcTime})${formatSource(priceData)}_`;
+          
+          try {
+            await sendMessage(bot, chatId, alertMessage, { parse_mode: 'Markdown', disable_web_page_preview: true }, 'alert');
+          } catch (error) {
+            console.error(`Error sending drop alert to ${chatId}:`, error.message);
+          }
+        }
+        
+        // Check for rise against the user's rise threshold
+        const riseThreshold = getRiseThreshold(userPrefs, customToken.address, true);
+        const riseWindow = findTrippedWindow(windowChanges, 'rise', riseThreshold);
+        const riseDecision = riseWindow
+          ? await shouldSendAlert(chatId, customToken.address, 'rise', { value: currentPrice, escalationPercent: riseThreshold })
+          : null;
+        if (riseDecision && !riseDecision.send) {
+          console.log(`🔕 ${alertTokenInfo.symbol} rise alert for user ${chatId} suppressed (${riseDecision.reason})`);
+        }
+        
+        if (riseDecision && riseDecision.send) {
+          const risePercentage = riseWindow.movePercent;
+          await recordAlert(chatId, customToken.address, 'rise', currentPrice, riseWindow.referencePrice);
+          console.log(`🚀 Alert: ${alertTokenInfo.symbol} (${customToken.address}) rose ${risePercentage.toFixed(2)}% over ${riseWindow.window.label}`);
           
-          alertMessage += linksSection;
-          alertMessage += `\n\n_Alert at: Local ${athensTime} (UTC: ${utcTime})_`;
+          let marketCap = alertTokenInfo.marketCap;
+          if (!marketCap) {
+            marketCap = await getMarketCapFromPrice(customToken.address, priceData.price);
+          }
+          const mcapText = marketCap ? formatMarketCap(marketCap) : null;
+          const previousPrice = riseWindow.referencePrice.toFixed(priceDecimals);
+          
+          const riseMessage = formatRiseAlertMessage(alertTokenInfo, priceData, risePercentage, previousPrice, riseThreshold, riseWindow.window.label, customToken.address, mcapText, userPrefs.timezone);
+          const riseSummary = `🚀 $${(alertTokenInfo.symbol || '').toUpperCase()} +${risePercentage.toFixed(2)}% in ${riseWindow.window.label} @ $${priceData.price}`;
+          
+          // Held for the morning digest during quiet hours
+          if (await queueIfQuiet(chatId, userPrefs, 'rise', riseSummary)) continue;
           
           try {
-            await bot.sendMessage(chatId, alertMessage, { parse_mode: 'Markdown', disable_web_page_preview: true });
-            await new Promise(resolve => setTimeout(resolve, 100));
+            await sendMessage(bot, chatId, riseMessage, { parse_mode: 'Markdown', disable_web_page_preview: true }, 'alert');
           } catch (error) {
-            if (error.response?.statusCode === 403 || error.response?.statusCode === 400) {
-              const { loadUsers, saveUsers } = require('../utils/storage');
-              const users = await loadUsers();
-              delete users[chatId];
-              await saveUsers(users);
-            }
+            console.error(`Error sending rise alert to ${chatId}:`, error.message);
           }
         }
       }
     }
   }
+  
+  // Check absolute price / market cap targets with the prices fetched above
+  await checkPriceTargets(bot, users, allPrices, solanaPrices);
+}
+
+// Check price / market cap targets and alert users whose target was crossed
+// One-shot targets are removed once hit, re-arming targets fire again after the
+// value has moved back to the other side of the target
+async function checkPriceTargets(bot, users, allPrices, solanaPrices) {
+  const targets = await loadPriceTargets();
+  if (targets.length === 0) return;
+  
+  for (const target of targets) {
+    const userPrefs = users[target.chatId];
+    if (!userPrefs || !userPrefs.subscribed) continue;
+    
+    let priceData = null;
+    let tokenInfo = null;
+    
+    if (target.tokenType === 'main') {
+      tokenInfo = TOKENS[target.tokenKey];
+      const data = allPrices?.[tokenInfo?.id];
+      if (!tokenInfo || !data) continue;
+      priceData = {
+        price: parseFloat(data.usd).toFixed(2),
+        change24h: data.usd_24h_change ? data.usd_24h_change.toFixed(2) : '0.00',
+        source: data.source
+      };
+    } else {
+      // Targets can be set on mints the user doesn't track, those were batched in with the rest
+      priceData = solanaPrices[target.tokenKey];
+      if (!priceData) continue;
+      tokenInfo = (userPrefs.customTokens || []).find(ct => ct.address === target.tokenKey) || { symbol: target.symbol };
+    }
+    
+    const value = target.metric === 'mcap'
+      ? await getMarketCapFromPrice(target.tokenKey, priceData.price)
+      : parseFloat(priceData.price);
+    if (!value) continue;
+    
+    const isMet = target.direction === 'above' ? value >= target.target : value <= target.target;
+    
+    if (!target.armed) {
+      // Re-arm once the value is back on the other side of the target
+      if (!isMet) {
+        await updatePriceTarget(target.id, { armed: true });
+        console.log(`🔁 Target #${target.id} re-armed for ${target.chatId}`);
+      }
+      continue;
+    }
+    
+    if (!isMet) continue;
+    
+    console.log(`🎯 Target #${target.id} hit: ${target.symbol} ${target.metric} ${target.direction} ${target.target} (now ${value}) for user ${target.chatId}`);
+    
+    const message = formatTargetAlertMessage(
+      tokenInfo,
+      priceData,
+      target,
+      formatTargetValue(target.metric, value),
+      formatTargetValue(target.metric, target.target),
+      target.tokenType === 'solana' ? target.tokenKey : null,
+      userPrefs.timezone
+    );
+    
+    // Update state before sending so a failed send doesn't re-fire every tick
+    if (target.rearm) {
+      await updatePriceTarget(target.id, { armed: false, lastTriggeredAt: Date.now() });
+    } else {
+      await deletePriceTarget(target.id);
+    }
+    
+    try {
+      await sendMessage(bot, target.chatId, message, { parse_mode: 'Markdown', disable_web_page_preview: true }, 'alert');
+    } catch (error) {
+      console.error(`Error sending target alert to ${target.chatId}:`, error.message);
+    }
+  }
 }
 
 module.exports = {
-  checkPriceDrops
+  checkPriceDrops,
+  getDropThreshold,
+  getRiseThreshold,
+  formatTargetValue
 };
 
@@ -1,5 +1,9 @@
 const { checkDexScreenerBoosts } = require('../utils/api');
 const { loadUsers, loadPriceHistory, savePriceHistory } = require('../utils/storage');
+const { shouldSendAlert, recordAlert } = require('./alertState');
+const { queueIfQuiet } = require('./quietHours');
+const { sendMessage } = require('./deliveryQueue');
+const { getDisplayTimes } = require('../utils/time');
 
 // Track which tokens have boosts (to detect new ones)
 // Format: { tokenAddress: { hasBoost: boolean, lastChecked: timestamp } }
@@ -67,9 +71,16 @@ async function checkBoostsForAllTokens(bot) {
             
             const tokenInfo = userPrefs.customTokens.find(ct => ct.address === tokenAddress);
             if (tokenInfo) {
-              await notifyBoostDetected(bot, chatId, tokenAddress, tokenInfo);
-              // Small delay to avoid rate limits
-              await new Promise(resolve => setTimeout(resolve, 100));
+              // Boosts can flap on and off, don't re-notify within the cooldown
+              const decision = await shouldSendAlert(chatId, tokenAddress, 'boost');
+              if (!decision.send) {
+                console.log(`🔕 Boost alert for ${tokenInfo.symbol} to user ${chatId} suppressed (${decision.reason})`);
+                continue;
+              }
+              await recordAlert(chatId, tokenAddress, 'boost');
+              const boostSummary = `✨ $${(tokenInfo.symbol || 'Token').toUpperCase()} got a DexScreener boost`;
+              if (await queueIfQuiet(chatId, userPrefs, 'boost', boostSummary)) continue;
+              await notifyBoostDetected(bot, chatId, tokenAddress, tokenInfo, userPrefs.timezone);
             }
           }
         }
@@ -80,9 +91,6 @@ async function checkBoostsForAllTokens(bot) {
           lastChecked: now
         };
       }
-      
-      // Small delay between API calls to avoid rate limits
-      await new Promise(resolve => setTimeout(resolve, 200));
     } catch (error) {
       console.error(`Error processing boost check for ${tokenAddress}:`, error.message);
     }
@@ -92,17 +100,9 @@ async function checkBoostsForAllTokens(bot) {
 }
 
 // Notify user about boost detection
-async function notifyBoostDetected(bot, chatId, tokenAddress, tokenInfo) {
+async function notifyBoostDetected(bot, chatId, tokenAddress, tokenInfo, timezone = null) {
   try {
-    const now = new Date();
-    const athensTime = new Intl.DateTimeFormat('en-US', {
-      timeZone: 'Europe/Athens',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: false
-    }).format(now);
-    const utcTime = now.toUTCString().split(' ')[4];
+    const { localTime, utcTime } = getDisplayTimes(timezone);
     
     const message = `🚀 *BOOST DETECTED!*\n\n` +
       `✨ *$${(tokenInfo.symbol || 'Token').toUpperCase()}* now has a DexScreener boost!\n\n` +
@@ -111,24 +111,16 @@ async function notifyBoostDetected(bot, chatId, tokenAddress, tokenInfo) {
       `[DexScreener](https://dexscreener.com/solana/${tokenAddress}) | ` +
       `[GMGN](https://gmgn.ai/sol/token/${tokenAddress}) | ` +
       `[Axiom](https://axiom.trade/meme/${tokenAddress}?chain=sol)\n\n` +
-      `_Detected at: Local ${athensTime} (UTC: ${utcTime})_`;
+      `_Detected at: Local ${localTime} (UTC: ${utcTime})_`;
     
-    await bot.sendMessage(chatId, message, { 
+    await sendMessage(bot, chatId, message, { 
       parse_mode: 'Markdown', 
       disable_web_page_preview: true 
-    });
+    }, 'alert');
     
     console.log(`✅ Boost notification sent to user ${chatId} for token ${tokenInfo.symbol}`);
   } catch (error) {
-    if (error.response?.statusCode === 403 || error.response?.statusCode === 400) {
-      // User blocked bot - remove them
-      const { loadUsers, saveUsers } = require('../utils/storage');
-      const users = await loadUsers();
-      delete users[chatId];
-      await saveUsers(users);
-    } else {
-      console.error(`Error sending boost notification to ${chatId}:`, error.message);
-    }
+    console.error(`Error sending boost notification to ${chatId}:`, error.message);
   }
 }
 
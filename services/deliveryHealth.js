@@ -0,0 +1,78 @@
+const { loadUsers, updateUserPreferences } = require('../utils/storage');
+
+// Telegram send failures fall into three buckets:
+// - 'blocked': the user blocked the bot, deleted their account or kicked it from the group (403)
+// - 'chat_not_found': the chat doesn't exist (anymore) (400 "chat not found")
+// - 'bad_request': anything else the API rejected, e.g. a Markdown parse error (400) -
+//   that's a problem with the message, not the user, so it's only recorded
+function classifyDeliveryError(error) {
+  const statusCode = error.response?.statusCode;
+  const description = (error.response?.body?.description || error.message || '').toLowerCase();
+  
+  if (statusCode === 403) return 'blocked';
+  if (statusCode === 400) {
+    if (description.includes('chat not found') || description.includes('peer_id_invalid')) {
+      return 'chat_not_found';
+    }
+    return 'bad_request';
+  }
+  return null;
+}
+
+// Record a failed send to a chat
+// Blocked / missing chats are unsubscribed (settings are kept, /start resumes them),
+// bad requests only bump the counter so the admin can spot broken messages
+// Returns the failure class, or null for errors that say nothing about the chat (429, network...)
+async function recordDeliveryFailure(chatId, error) {
+  const failure = classifyDeliveryError(error);
+  if (!failure) return null;
+  
+  const users = await loadUsers();
+  const userPrefs = users[chatId];
+  // Not a bot user (e.g. the admin chat before /start) - nothing to track
+  if (!userPrefs) return failure;
+  
+  const previous = userPrefs.deliveryHealth || {};
+  const lastError = error.response?.body?.description || error.message;
+  
+  if (failure === 'bad_request') {
+    await updateUserPreferences(chatId, {
+      deliveryHealth: {
+        status: previous.status || 'ok',
+        lastError,
+        lastErrorAt: Date.now(),
+        badRequests: (previous.badRequests || 0) + 1
+      }
+    });
+    console.warn(`⚠️ Telegram rejected a message for ${chatId}: ${lastError}`);
+    return failure;
+  }
+  
+  await updateUserPreferences(chatId, {
+    subscribed: false,
+    deliveryHealth: {
+      status: failure,
+      lastError,
+      lastErrorAt: Date.now(),
+      badRequests: previous.badRequests || 0
+    }
+  });
+  console.log(`🚫 Chat ${chatId} is unreachable (${failure}: ${lastError}), marked inactive`);
+  
+  // Stop the periodic update job (lazy require - the scheduler depends on the delivery queue)
+  const { scheduleUserUpdates } = require('./scheduler');
+  scheduleUserUpdates(null, chatId, { ...userPrefs, subscribed: false });
+  return failure;
+}
+
+// Was this user deactivated because their chat became unreachable?
+function isUndeliverable(userPrefs) {
+  const status = userPrefs?.deliveryHealth?.status;
+  return status === 'blocked' || status === 'chat_not_found';
+}
+
+module.exports = {
+  classifyDeliveryError,
+  recordDeliveryFailure,
+  isUndeliverable
+};
@@ -0,0 +1,166 @@
+const { TELEGRAM_GLOBAL_RATE_PER_SECOND, TELEGRAM_PER_CHAT_INTERVAL_MS, TELEGRAM_MAX_RETRIES, DELIVERY_PRIORITIES } = require('../config/telegram');
+const { recordDeliveryFailure } = require('./deliveryHealth');
+
+// Central outbound queue for everything services send to Telegram
+// Paces sends globally and per chat, serves the 'alert' lane before 'update',
+// retries 429s after retry_after and records failed sends in the user's delivery health.
+// Each send returns a promise for the Telegram result (rejects with the Telegram error).
+
+const lanes = {};
+DELIVERY_PRIORITIES.forEach(priority => { lanes[priority] = []; });
+
+const chatReadyAt = {}; // chatId -> earliest time the next message to that chat may go out
+let lastSendAt = 0;
+let workerRunning = false;
+const GLOBAL_INTERVAL_MS = 1000 / TELEGRAM_GLOBAL_RATE_PER_SECOND;
+
+const stats = { sent: 0, retried: 0, failed: 0, undeliverable: 0 };
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function queuedCount() {
+  return DELIVERY_PRIORITIES.reduce((total, priority) => total + lanes[priority].length, 0);
+}
+
+// First item (highest lane first) whose chat is allowed to receive a message now
+function takeNextItem(now) {
+  for (const priority of DELIVERY_PRIORITIES) {
+    const index = lanes[priority].findIndex(item => (chatReadyAt[item.chatId] || 0) <= now);
+    if (index !== -1) return lanes[priority].splice(index, 1)[0];
+  }
+  return null;
+}
+
+// When the next queued chat becomes ready
+function nextReadyAt() {
+  let earliest = Infinity;
+  for (const priority of DELIVERY_PRIORITIES) {
+    for (const item of lanes[priority]) {
+      earliest = Math.min(earliest, chatReadyAt[item.chatId] || 0);
+    }
+  }
+  return earliest;
+}
+
+// Only sends say something about the chat - edits and pins fail with 400 for harmless reasons
+// ("message is not modified"), those are left to the caller unless the bot is blocked
+function isChatFailure(method, error) {
+  const statusCode = error.response?.statusCode;
+  if (statusCode === 403) return true;
+  return statusCode === 400 && (method === 'sendMessage' || method === 'sendPhoto');
+}
+
+async function deliver(item) {
+  try {
+    const result = await item.bot[item.method](...item.args);
+    stats.sent++;
+    item.resolve(result);
+  } catch (error) {
+    const statusCode = error.response?.statusCode;
+    
+    if (statusCode === 429 && item.attempts < TELEGRAM_MAX_RETRIES) {
+      const retryAfter = error.response?.body?.parameters?.retry_after || 1;
+      item.attempts++;
+      stats.retried++;
+      console.warn(`⏳ Telegram 429 for chat ${item.chatId}, retrying in ${retryAfter}s (attempt ${item.attempts}/${TELEGRAM_MAX_RETRIES})`);
+      chatReadyAt[item.chatId] = Date.now() + retryAfter * 1000;
+      // Back to the front of its lane so messages to this chat stay in order
+      lanes[item.priority].unshift(item);
+      startWorker();
+      return;
+    }
+    
+    stats.failed++;
+    if (isChatFailure(item.method, error)) {
+      try {
+        const failure = await recordDeliveryFailure(item.chatId, error);
+        if (failure === 'blocked' || failure === 'chat_not_found') stats.undeliverable++;
+      } catch (healthError) {
+        console.error(`Error recording delivery failure for ${item.chatId}:`, healthError.message);
+      }
+    }
+    item.reject(error);
+  }
+}
+
+async function runWorker() {
+  workerRunning = true;
+  try {
+    while (queuedCount() > 0) {
+      const now = Date.now();
+      const globalWait = lastSendAt + GLOBAL_INTERVAL_MS - now;
+      if (globalWait > 0) {
+        await sleep(globalWait);
+        continue;
+      }
+      
+      const item = takeNextItem(now);
+      if (!item) {
+        // Everything queued is for chats that are still cooling down
+        await sleep(Math.max(10, nextReadyAt() - now));
+        continue;
+      }
+      
+      lastSendAt = now;
+      chatReadyAt[item.chatId] = now + TELEGRAM_PER_CHAT_INTERVAL_MS;
+      // Don't wait for the response, the pacing above is what limits throughput
+      deliver(item);
+    }
+  } finally {
+    workerRunning = false;
+  }
+}
+
+function startWorker() {
+  if (!workerRunning) {
+    runWorker().catch(error => {
+      console.error('Delivery queue worker error:', error.message);
+    });
+  }
+}
+
+// Queue any bot method call for a chat (args are passed to bot[method] as-is)
+function enqueue(bot, chatId, method, args, priority = 'update') {
+  if (!lanes[priority]) priority = DELIVERY_PRIORITIES[DELIVERY_PRIORITIES.length - 1];
+  return new Promise((resolve, reject) => {
+    lanes[priority].push({ bot, chatId: chatId.toString(), method, args, priority, attempts: 0, resolve, reject });
+    startWorker();
+  });
+}
+
+function sendMessage(bot, chatId, text, options = {}, priority = 'update') {
+  return enqueue(bot, chatId, 'sendMessage', [chatId, text, options], priority);
+}
+
+function sendPhoto(bot, chatId, photo, options = {}, priority = 'update') {
+  return enqueue(bot, chatId, 'sendPhoto', [chatId, photo, options], priority);
+}
+
+// options.chat_id is the target chat, same as bot.editMessageText
+function editMessageText(bot, text, options, priority = 'update') {
+  return enqueue(bot, options.chat_id, 'editMessageText', [text, options], priority);
+}
+
+function pinChatMessage(bot, chatId, messageId, options = {}) {
+  return enqueue(bot, chatId, 'pinChatMessage', [chatId, messageId, options]);
+}
+
+function unpinChatMessage(bot, chatId, options = {}) {
+  return enqueue(bot, chatId, 'unpinChatMessage', [chatId, options]);
+}
+
+// Counters for /admin
+function getDeliveryStats() {
+  return { ...stats, queued: queuedCount() };
+}
+
+module.exports = {
+  sendMessage,
+  sendPhoto,
+  editMessageText,
+  pinChatMessage,
+  unpinChatMessage,
+  getDeliveryStats
+};
@@ -0,0 +1,58 @@
+const { DEFAULT_KOL_FILTERS } = require('../config/alerts');
+
+// User-defined KOL alert filters
+// userPrefs.kolFilters = { global: { ...filters }, kols: { [kolAddress]: { ...filters } } }
+// A trade is described by { type ('buy' or 'sell'), solAmount, isFirstBuy, isInstantFlip, marketCap, deviationTypes }
+
+// Filters that apply to a KOL's alerts for this user: the KOL's own, else the global ones
+function getKOLFilters(userPrefs, kolAddress = null) {
+  const saved = (userPrefs && userPrefs.kolFilters) || {};
+  const kolFilters = kolAddress && saved.kols ? saved.kols[kolAddress] : null;
+  return { ...DEFAULT_KOL_FILTERS, ...(kolFilters || saved.global || {}) };
+}
+
+// Does this KOL have its own filters (instead of the global ones)?
+function hasOwnKOLFilters(userPrefs, kolAddress) {
+  return Boolean(userPrefs && userPrefs.kolFilters && userPrefs.kolFilters.kols && userPrefs.kolFilters.kols[kolAddress]);
+}
+
+// Check a trade against a user's filters
+// Returns null if the alert should go out, otherwise the reason it was filtered
+// Unknown values (e.g. no market cap) never filter an alert out
+function getKOLFilterRejection(filters, trade) {
+  if (filters.side === 'buys' && trade.type !== 'buy') return 'buys only';
+  if (filters.side === 'sells' && trade.type !== 'sell') return 'sells only';
+
+  if (filters.minSol > 0 && trade.solAmount < filters.minSol) {
+    return `below ${filters.minSol} SOL`;
+  }
+
+  // Only the KOL's first buy of a token - later buys (adding to a position) are skipped
+  if (filters.firstBuyOnly && trade.type === 'buy' && !trade.isFirstBuy) return 'not a first buy';
+
+  if (filters.excludeInstantFlips && trade.isInstantFlip) return 'instant flip';
+
+  if (trade.marketCap) {
+    if (filters.minMarketCap && trade.marketCap < filters.minMarketCap) return 'market cap below range';
+    if (filters.maxMarketCap && trade.marketCap > filters.maxMarketCap) return 'market cap above range';
+  }
+
+  if (filters.excludeFarming && (trade.deviationTypes || []).includes('low_mcap_farming')) return 'low mcap farming';
+
+  return null;
+}
+
+// Human-readable market cap for the settings screen, e.g. "$50k", "$1M"
+function formatFilterMarketCap(value) {
+  if (!value) return 'any';
+  if (value >= 1e6) return `$${parseFloat((value / 1e6).toFixed(1))}M`;
+  if (value >= 1e3) return `$${parseFloat((value / 1e3).toFixed(1))}k`;
+  return `$${value}`;
+}
+
+module.exports = {
+  getKOLFilters,
+  hasOwnKOLFilters,
+  getKOLFilterRejection,
+  formatFilterMarketCap
+};
@@ -0,0 +1,233 @@
+const WebSocket = require('ws');
+const { loadUsers } = require('../utils/storage');
+const {
+  SOLANA_WS_URL,
+  KOL_STREAM_SYNC_SECONDS,
+  KOL_STREAM_RECONNECT_BASE_MS,
+  KOL_STREAM_RECONNECT_MAX_MS,
+  KOL_STREAM_BATCH_MS,
+  KOL_BACKFILL_INTERVAL_MINUTES
+} = require('../config/solana');
+
+// Keep-alive ping so idle connections aren't dropped by the RPC provider
+const PING_INTERVAL_MS = 30 * 1000;
+
+// Stream state - a single websocket carries one logsSubscribe per tracked KOL
+// (logsSubscribe only accepts one address in `mentions`)
+let stream = null;
+
+// Default sources: users' tracked KOLs, and the kolMonitor parsing path
+async function loadTrackedAddresses() {
+  const { getTrackedKOLAddresses } = require('./kolMonitor');
+  return getTrackedKOLAddresses(await loadUsers());
+}
+
+// Start streaming tracked KOL wallets
+// options.url, options.getTrackedAddresses(), options.onSignatures(address, signatures) and options.onReconnect()
+// override the defaults (for tests)
+function startKOLStream(bot, options = {}) {
+  stopKOLStream();
+
+  stream = {
+    url: options.url || SOLANA_WS_URL,
+    getTrackedAddresses: options.getTrackedAddresses || loadTrackedAddresses,
+    onSignatures: options.onSignatures || ((address, signatures) => {
+      const { processKOLSignatures } = require('./kolMonitor');
+      return processKOLSignatures(bot, address, signatures);
+    }),
+    // Trades made while the socket was down never get a notification - backfill them right away
+    // (trades older than KOL_ALERT_MAX_AGE_MINUTES only update balances, so this never replays stale alerts)
+    onReconnect: options.onReconnect || (() => {
+      const { checkKOLTransactions } = require('./kolMonitor');
+      return checkKOLTransactions(bot);
+    }),
+    reconnectBaseMs: options.reconnectBaseMs || KOL_STREAM_RECONNECT_BASE_MS,
+    batchMs: options.batchMs !== undefined ? options.batchMs : KOL_STREAM_BATCH_MS,
+    ws: null,
+    stopped: false,
+    nextRequestId: 1,
+    requests: new Map(), // request id -> { method, address }
+    subscriptions: new Map(), // address -> subscription id
+    subscriptionAddresses: new Map(), // subscription id -> address
+    pendingSignatures: new Map(), // address -> Set of signatures waiting for the batch window
+    batchTimer: null,
+    reconnectTimer: null,
+    pingTimer: null,
+    syncTimer: null,
+    reconnectAttempts: 0,
+    lastReconnectBackfillAt: 0,
+    stats: { connects: 0, notifications: 0, signatures: 0 }
+  };
+
+  connect(stream);
+  stream.syncTimer = setInterval(() => {
+    syncSubscriptions().catch(error => console.error('Error syncing KOL stream subscriptions:', error.message));
+  }, (options.syncSeconds || KOL_STREAM_SYNC_SECONDS) * 1000);
+
+  return stream;
+}
+
+function stopKOLStream() {
+  if (!stream) return;
+  const current = stream;
+  stream = null;
+  current.stopped = true;
+  clearInterval(current.syncTimer);
+  clearInterval(current.pingTimer);
+  clearTimeout(current.reconnectTimer);
+  clearTimeout(current.batchTimer);
+  if (current.ws) {
+    current.ws.removeAllListeners();
+    current.ws.on('error', () => {});
+    current.ws.terminate();
+  }
+}
+
+function connect(state) {
+  const ws = new WebSocket(state.url);
+  state.ws = ws;
+
+  ws.on('open', () => {
+    state.stats.connects++;
+    state.reconnectAttempts = 0;
+    console.log(`📡 KOL stream connected (${state.stats.connects > 1 ? 'reconnect' : 'first connect'})`);
+
+    state.pingTimer = setInterval(() => {
+      if (ws.readyState === WebSocket.OPEN) ws.ping();
+    }, PING_INTERVAL_MS);
+
+    syncSubscriptions().catch(error => console.error('Error subscribing KOL stream:', error.message));
+    // A flapping socket leaves the rest to the regular backfill instead of re-polling every KOL on each reconnect
+    if (state.stats.connects > 1 && Date.now() - state.lastReconnectBackfillAt >= KOL_BACKFILL_INTERVAL_MINUTES * 60 * 1000) {
+      state.lastReconnectBackfillAt = Date.now();
+      Promise.resolve()
+        .then(() => state.onReconnect())
+        .catch(error => console.error('Error backfilling after KOL stream reconnect:', error.message));
+    }
+  });
+
+  ws.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      console.error('KOL stream sent invalid JSON:', error.message);
+      return;
+    }
+    handleMessage(state, message);
+  });
+
+  ws.on('error', (error) => {
+    // 'close' always follows, which schedules the reconnect
+    console.error('KOL stream error:', error.message);
+  });
+
+  ws.on('close', () => {
+    clearInterval(state.pingTimer);
+    // Subscriptions die with the socket - they're recreated on the next connect
+    state.requests.clear();
+    state.subscriptions.clear();
+    state.subscriptionAddresses.clear();
+    if (state.stopped) return;
+
+    const delay = Math.min(state.reconnectBaseMs * Math.pow(2, state.reconnectAttempts), KOL_STREAM_RECONNECT_MAX_MS);
+    const jitter = Math.floor(Math.random() * delay * 0.2);
+    state.reconnectAttempts++;
+    console.log(`📡 KOL stream disconnected, reconnecting in ${Math.round((delay + jitter) / 1000)}s (attempt ${state.reconnectAttempts})`);
+    state.reconnectTimer = setTimeout(() => connect(state), delay + jitter);
+  });
+}
+
+function send(state, method, params, address) {
+  const id = state.nextRequestId++;
+  state.requests.set(id, { method, address });
+  state.ws.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+}
+
+function handleMessage(state, message) {
+  // Response to one of our subscribe/unsubscribe requests
+  if (message.id !== undefined && state.requests.has(message.id)) {
+    const request = state.requests.get(message.id);
+    state.requests.delete(message.id);
+
+    if (message.error) {
+      console.error(`KOL stream ${request.method} failed for ${request.address}:`, message.error.message);
+      return;
+    }
+    if (request.method === 'logsSubscribe') {
+      state.subscriptions.set(request.address, message.result);
+      state.subscriptionAddresses.set(message.result, request.address);
+    }
+    return;
+  }
+
+  if (message.method !== 'logsNotification') return;
+
+  state.stats.notifications++;
+  const address = state.subscriptionAddresses.get(message.params?.subscription);
+  const value = message.params?.result?.value;
+  // Failed transactions don't move balances
+  if (!address || !value?.signature || value.err) return;
+
+  if (!state.pendingSignatures.has(address)) state.pendingSignatures.set(address, new Set());
+  state.pendingSignatures.get(address).add(value.signature);
+  state.stats.signatures++;
+
+  if (!state.batchTimer) {
+    state.batchTimer = setTimeout(() => flushSignatures(state), state.batchMs);
+  }
+}
+
+// Hand every batched signature to the parsing path, one call per KOL
+function flushSignatures(state) {
+  state.batchTimer = null;
+  const batches = Array.from(state.pendingSignatures.entries());
+  state.pendingSignatures.clear();
+
+  for (const [address, signatures] of batches) {
+    Promise.resolve(state.onSignatures(address, Array.from(signatures)))
+      .catch(error => console.error(`Error handling streamed signatures for ${address}:`, error.message));
+  }
+}
+
+// Subscribe newly tracked KOLs and unsubscribe ones nobody tracks anymore
+async function syncSubscriptions() {
+  const state = stream;
+  if (!state || !state.ws || state.ws.readyState !== WebSocket.OPEN) return;
+
+  const tracked = new Set(await state.getTrackedAddresses());
+  if (state !== stream || state.ws.readyState !== WebSocket.OPEN) return;
+
+  const requested = new Set(Array.from(state.requests.values())
+    .filter(request => request.method === 'logsSubscribe')
+    .map(request => request.address));
+
+  for (const address of tracked) {
+    if (state.subscriptions.has(address) || requested.has(address)) continue;
+    send(state, 'logsSubscribe', [{ mentions: [address] }, { commitment: 'confirmed' }], address);
+  }
+
+  for (const [address, subscriptionId] of state.subscriptions) {
+    if (tracked.has(address)) continue;
+    send(state, 'logsUnsubscribe', [subscriptionId], address);
+    state.subscriptions.delete(address);
+    state.subscriptionAddresses.delete(subscriptionId);
+  }
+}
+
+function getKOLStreamStatus() {
+  if (!stream) return null;
+  return {
+    connected: !!stream.ws && stream.ws.readyState === WebSocket.OPEN,
+    subscriptions: stream.subscriptions.size,
+    reconnectAttempts: stream.reconnectAttempts,
+    ...stream.stats
+  };
+}
+
+module.exports = {
+  startKOLStream,
+  stopKOLStream,
+  syncSubscriptions,
+  getKOLStreamStatus
+};
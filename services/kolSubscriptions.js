@@ -0,0 +1,74 @@
+const { KOL_ALERT_SOURCES } = require('../config/alerts');
+
+// Deciding who gets a KOL trade alert - shared by the delayed buy path and the immediate sell path
+// A trade is { kolAddress, tokenMint, type ('buy' or 'sell'), kolCount, isGoodToken, isPrivateWallet }
+// isPrivateWallet: a wallet added with /trackwallet rather than a curated KOL - only its trackers hear about it
+
+// Is the token one of the user's custom Solana tokens?
+function isTrackedToken(tokenMint, userPrefs) {
+  if (!userPrefs) return false;
+
+  // Check custom Solana tokens
+  if (userPrefs.customTokens && Array.isArray(userPrefs.customTokens)) {
+    return userPrefs.customTokens.some(token =>
+      token.address && token.address.toLowerCase() === tokenMint.toLowerCase()
+    );
+  }
+
+  return false;
+}
+
+// The user's alert source switches (sources they never touched use the source's default)
+function getKOLAlertSources(userPrefs) {
+  const saved = (userPrefs && userPrefs.kolAlertSources) || {};
+  const sources = {};
+  for (const [key, source] of Object.entries(KOL_ALERT_SOURCES)) {
+    sources[key] = typeof saved[key] === 'boolean' ? saved[key] : source.defaultOn;
+  }
+  return sources;
+}
+
+// Sources that make this trade relevant to the user, e.g. ['trackedKols', 'convergence'] ([] = don't alert)
+function matchKOLAlertSources(userPrefs, trade) {
+  // Check if user wants KOL alerts (default to true if not set)
+  if (!userPrefs || !userPrefs.subscribed || userPrefs.kolAlerts === false) return [];
+
+  const enabled = getKOLAlertSources(userPrefs);
+  const matched = [];
+
+  if (enabled.trackedKols && (userPrefs.trackedKOLs || []).includes(trade.kolAddress)) {
+    matched.push('trackedKols');
+  }
+  if (trade.isPrivateWallet) return matched;
+  if (enabled.heldTokens && isTrackedToken(trade.tokenMint, userPrefs)) {
+    matched.push('heldTokens');
+  }
+  // Several KOLs piling into a token only matters on the way in
+  if (enabled.convergence && trade.type === 'buy' && trade.kolCount >= 2) {
+    matched.push('convergence');
+  }
+  if (enabled.goodToken && trade.isGoodToken) {
+    matched.push('goodToken');
+  }
+
+  return matched;
+}
+
+// Users who should get an alert for this trade: [{ chatId, userPrefs, sources }]
+function getKOLAlertRecipients(users, trade) {
+  const recipients = [];
+  for (const [chatId, userPrefs] of Object.entries(users)) {
+    const sources = matchKOLAlertSources(userPrefs, trade);
+    if (sources.length > 0) {
+      recipients.push({ chatId, userPrefs, sources });
+    }
+  }
+  return recipients;
+}
+
+module.exports = {
+  isTrackedToken,
+  getKOLAlertSources,
+  matchKOLAlertSources,
+  getKOLAlertRecipients
+};
@@ -1,4 +1,4 @@
-const axios = require('axios');
+const http = require('../utils/http');
 const { KOL_ADDRESSES, KOL_NAME_TO_ADDRESS } = require('../config/kol');
 const { loadUsers, saveUsers } = require('../utils/storage');
 
@@ -32,7 +32,7 @@ async function fetchKolscanLeaderboard(period = 'daily', limit = 100) {
     try {
       // Try API endpoint first (if it exists)
       const apiUrl = `${KOLSCAN_BASE_URL}/api/leaderboard/${period}`;
-      const response = await axios.get(apiUrl, {
+      const response = await http.get(apiUrl, {
         timeout: 10000,
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
@@ -51,7 +51,7 @@ async function fetchKolscanLeaderboard(period = 'daily', limit = 100) {
     // Option 2: Scrape HTML if API doesn't work
     if (!leaderboardData) {
       try {
-        const htmlResponse = await axios.get(`${KOLSCAN_BASE_URL}/leaderboard`, {
+        const htmlResponse = await http.get(`${KOLSCAN_BASE_URL}/leaderboard`, {
           timeout: 10000,
           headers: {
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
@@ -0,0 +1,62 @@
+const { PLANS, DEFAULT_PLAN, QUOTA_LABELS } = require('../config/plans');
+
+// Get the user's plan key (falls back to the default plan for unknown values)
+function getUserPlan(userPrefs) {
+  return PLANS[userPrefs?.plan] ? userPrefs.plan : DEFAULT_PLAN;
+}
+
+// Get the limit for a quota ('mainTokens', 'solanaTokens', 'kols', 'targets')
+// Admin overrides win over the plan
+function getQuota(userPrefs, quotaKey) {
+  const override = userPrefs?.quotaOverrides?.[quotaKey];
+  if (override !== undefined && override !== null) {
+    return override;
+  }
+  return PLANS[getUserPlan(userPrefs)][quotaKey];
+}
+
+// How much of a quota the user is using right now
+// Targets live in their own table, so callers pass that count in
+function getQuotaUsage(userPrefs, quotaKey, targetCount = 0) {
+  switch (quotaKey) {
+    case 'mainTokens':
+      return (userPrefs?.tokens || []).length;
+    case 'solanaTokens':
+      return (userPrefs?.customTokens || []).length;
+    case 'kols':
+      return (userPrefs?.trackedKOLs || []).length;
+    case 'targets':
+      return targetCount;
+    default:
+      return 0;
+  }
+}
+
+// Can the user add one more item to this quota?
+// Returns { allowed, limit, used }
+function checkQuota(userPrefs, quotaKey, used = null) {
+  const limit = getQuota(userPrefs, quotaKey);
+  const current = used !== null ? used : getQuotaUsage(userPrefs, quotaKey);
+  return { allowed: current < limit, limit, used: current };
+}
+
+// Format a quota as "1 Solana token" / "10 KOLs"
+function formatQuota(quotaKey, limit) {
+  const [singular, plural] = QUOTA_LABELS[quotaKey] || [quotaKey, quotaKey];
+  return `${limit} ${limit === 1 ? singular : plural}`;
+}
+
+// Message shown when a quota is full
+function formatQuotaReachedMessage(userPrefs, quotaKey) {
+  const planName = PLANS[getUserPlan(userPrefs)].name;
+  return `Your ${planName} plan allows ${formatQuota(quotaKey, getQuota(userPrefs, quotaKey))}. Remove one first, or see /plan.`;
+}
+
+module.exports = {
+  getUserPlan,
+  getQuota,
+  getQuotaUsage,
+  checkQuota,
+  formatQuota,
+  formatQuotaReachedMessage
+};
@@ -1,7 +1,11 @@
-const { getTokenPrice, getSolanaTokenPrice } = require('../utils/api');
-const { formatPriceMessage, formatAlertMessage } = require('../utils/messages');
-const { TOKENS } = require('../config/tokens');
-const { loadUsers, saveUsers, loadPriceHistory, savePriceHistory } = require('../utils/storage');
+const { getTokenPrice, getSolanaTokenPrice, getSolanaTokenPrices, getAllTokenPrices } = require('../utils/api');
+const { formatPriceMessage, formatAlertMessage, formatRiseAlertMessage, formatResolvedAlertMessage, formatConsolidatedUpdate, formatSource } = require('../utils/messages');
+const { TOKENS, LIVE_BOARD_MAX_AGE_HOURS } = require('../config/tokens');
+const { getDisplayTimes } = require('../utils/time');
+const { initializeTokenRegistry } = require('./tokenRegistry');
+const { getMarketCapFromPrice } = require('../utils/tokenSupply');
+const { updateUserPreferences, loadPriceHistory, savePriceHistory, appendPriceHistory } = require('../utils/storage');
+const { sendMessage, editMessageText, pinChatMessage, unpinChatMessage } = require('./deliveryQueue');
 
 // Helper function to format market cap with k/M/B suffixes
 function formatMarketCap(value) {
@@ -15,27 +19,9 @@ function formatMarketCap(value) {
   return `$${value.toFixed(2)}`;
 }
 
-// Helper function to calculate market cap from price (1B supply for Solana tokens)
-function calculateMarketCapFromPrice(price) {
-  const priceNum = parseFloat(price);
-  if (isNaN(priceNum) || priceNum <= 0) return null;
-  // Solana tokens have 1B supply
-  return priceNum * 1e9;
-}
-
-// Send price update to user
-async function sendPriceUpdate(bot, chatId, token) {
-  const priceData = await getTokenPrice(TOKENS[token].id);
-  
-  if (!priceData) {
-    return;
-  }
-
-  // Calculate 5-minute price change for direction emoji
-  const priceHistory = await loadPriceHistory();
-  const historyKey = token; // Use token key (sol, btc, eth, bnb)
-  const currentPrice = parseFloat(priceData.price);
-  const now = Date.now();
+// Green/red direction emoji based on the price change over the last 5 minutes
+// Falls back to the 24h change when there's no recent history
+function getDirectionEmoji(priceHistory, historyKey, currentPrice, change24h, now = Date.now()) {
   const fiveMinutesAgo = now - (5 * 60 * 1000);
   
   // Find price from 5 minutes ago (or closest)
@@ -61,79 +47,57 @@ async function sendPriceUpdate(bot, chatId, token) {
     }
   }
   
-  // Calculate 5m change and determine emoji
-  let directionEmoji = '🟢'; // Default to green
   if (price5mAgo && price5mAgo > 0) {
     const change5m = ((currentPrice - price5mAgo) / price5mAgo) * 100;
-    directionEmoji = change5m >= 0 ? '🟢' : '🔴';
-  } else {
-    // Fallback to 24h change if no 5m history
-    const change24h = parseFloat(priceData.change24h);
-    directionEmoji = change24h >= 0 ? '🟢' : '🔴';
-  }
-  
-  // Update price history with current price
-  if (!priceHistory[historyKey]) {
-    priceHistory[historyKey] = {
-      price: currentPrice,
-      timestamp: now,
-      history: []
-    };
+    return change5m >= 0 ? '🟢' : '🔴';
   }
+  // Fallback to 24h change if no 5m history
+  return parseFloat(change24h) >= 0 ? '🟢' : '🔴';
+}
+
+// Send price update to user
+async function sendPriceUpdate(bot, chatId, token, timezone = null) {
+  const priceData = await getTokenPrice(TOKENS[token].id);
   
-  // Add to history (keep last 20 entries for efficiency)
-  if (!priceHistory[historyKey].history) {
-    priceHistory[historyKey].history = [];
+  if (!priceData) {
+    return;
   }
-  priceHistory[historyKey].history.push({
-    price: currentPrice,
-    timestamp: now
-  });
+
+  // Calculate 5-minute price change for direction emoji
+  const priceHistory = await loadPriceHistory();
+  const historyKey = token; // Use token key (sol, btc, eth, bnb)
+  const currentPrice = parseFloat(priceData.price);
+  const now = Date.now();
   
-  // Keep only last 20 entries
-  if (priceHistory[historyKey].history.length > 20) {
-    priceHistory[historyKey].history = priceHistory[historyKey].history.slice(-20);
-  }
+  // Direction emoji from the 5m change (falls back to 24h change)
+  const directionEmoji = getDirectionEmoji(priceHistory, historyKey, currentPrice, priceData.change24h, now);
   
-  // Update latest price
-  priceHistory[historyKey].price = currentPrice;
-  priceHistory[historyKey].timestamp = now;
+  // Update price history with current price
+  appendPriceHistory(priceHistory, historyKey, currentPrice, now);
   await savePriceHistory(priceHistory);
 
   // Format message with 5m-based emoji
   const change24h = parseFloat(priceData.change24h);
   const arrowEmoji = change24h >= 0 ? '📈' : '📉';
   
-  const now_formatted = new Date();
-  const athensTime = new Intl.DateTimeFormat('en-US', {
-    timeZone: 'Europe/Athens',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  }).format(now_formatted);
-  const utcTime = now_formatted.toUTCString().split(' ')[4];
+  const { localTime, utcTime } = getDisplayTimes(timezone);
   
   const message = `${directionEmoji} *$${TOKENS[token].symbol.toUpperCase()} @ $${priceData.price}*
 
 ${arrowEmoji} 24h: ${change24h >= 0 ? '+' : ''}${priceData.change24h}%
 
-_Updated at: Local ${athensTime} (UTC: ${utcTime})_`;
+_Updated at: Local ${localTime} (UTC: ${utcTime})${formatSource(priceData)}_`;
 
   try {
-    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    await sendMessage(bot, chatId, message, { parse_mode: 'Markdown' });
   } catch (error) {
-    // If user blocked bot or chat doesn't exist, remove them
-    if (error.response?.statusCode === 403 || error.response?.statusCode === 400) {
-      const users = await loadUsers();
-      delete users[chatId];
-      await saveUsers(users);
-    }
+    // Blocked / missing chats are handled by the delivery queue
+    console.error(`Error sending price update to ${chatId}:`, error.message);
   }
 }
 
 // Send price update for custom Solana token
-async function sendCustomTokenUpdate(bot, chatId, tokenAddress, tokenInfo) {
+async function sendCustomTokenUpdate(bot, chatId, tokenAddress, tokenInfo, timezone = null) {
   const { getSolanaTokenPrice } = require('../utils/api');
   
   console.log(`Fetching price for ${tokenInfo.symbol || tokenAddress} (${tokenAddress.substring(0, 8)}...)`);
@@ -143,7 +107,7 @@ async function sendCustomTokenUpdate(bot, chatId, tokenAddress, tokenInfo) {
   
   if (!priceData) {
     console.error(`Failed to fetch price for ${tokenInfo.symbol || tokenAddress}`);
-    await bot.sendMessage(chatId, `❌ Could not fetch price for ${tokenInfo.symbol || tokenAddress}. Token may not exist or API is unavailable.`);
+    await sendMessage(bot, chatId, `❌ Could not fetch price for ${tokenInfo.symbol || tokenAddress}. Token may not exist or API is unavailable.`);
     return;
   }
   
@@ -191,50 +155,19 @@ async function sendCustomTokenUpdate(bot, chatId, tokenAddress, tokenInfo) {
   const now = Date.now();
   
   // Update price history with current price
-  if (!priceHistory[historyKey]) {
-    priceHistory[historyKey] = {
-      price: currentPrice,
-      timestamp: now,
-      history: []
-    };
-  }
-  
-  // Add to history (keep last 20 entries for efficiency)
-  if (!priceHistory[historyKey].history) {
-    priceHistory[historyKey].history = [];
-  }
-  priceHistory[historyKey].history.push({
-    price: currentPrice,
-    timestamp: now
-  });
-  
-  // Keep only last 20 entries
-  if (priceHistory[historyKey].history.length > 20) {
-    priceHistory[historyKey].history = priceHistory[historyKey].history.slice(-20);
-  }
-  
-  // Update latest price
-  priceHistory[historyKey].price = currentPrice;
-  priceHistory[historyKey].timestamp = now;
+  appendPriceHistory(priceHistory, historyKey, currentPrice, now);
   await savePriceHistory(priceHistory);
   
   // change24h already declared above, reuse it
   const arrowEmoji = change24h >= 0 ? '📈' : '📉';
   
-  const athensTime = new Intl.DateTimeFormat('en-US', {
-    timeZone: 'Europe/Athens',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  }).format(new Date());
-  const utcTime = new Date().toUTCString().split(' ')[4];
+  const { localTime, utcTime } = getDisplayTimes(timezone);
   
   // Format market cap for message header (visible in chat list)
-  // Calculate from price if market cap not available (Solana tokens have 1B supply)
+  // Calculate from price and the mint's real supply if market cap not available
   let marketCap = currentTokenInfo.marketCap;
   if (!marketCap) {
-    marketCap = calculateMarketCapFromPrice(priceData.price);
+    marketCap = await getMarketCapFromPrice(tokenAddress, priceData.price);
   }
   const mcapText = marketCap 
     ? formatMarketCap(marketCap)
@@ -295,17 +228,171 @@ async function sendCustomTokenUpdate(bot, chatId, tokenAddress, tokenInfo) {
     `[DexScreener](https://dexscreener.com/solana/${tokenAddress})`;
   
   message += linksSection;
-  message += `\n\n_Updated at: Local ${athensTime} (UTC: ${utcTime})_`;
+  message += `\n\n_Updated at: Local ${localTime} (UTC: ${utcTime})${formatSource(priceData)}_`;
+
+  try {
+    await sendMessage(bot, chatId, message, { parse_mode: 'Markdown', disable_web_page_preview: true });
+  } catch (error) {
+    console.error(`Error sending token update to ${chatId}:`, error.message);
+  }
+}
+
+// Build the consolidated update for all of the user's tokens
+// Per-token detail is available through the inline buttons (detail_<token key or address>)
+// Returns { text, keyboard } or null if the user has no tokens
+async function buildConsolidatedUpdate(userPrefs, title) {
+  const priceHistory = await loadPriceHistory();
+  const allPrices = (userPrefs.tokens || []).length > 0 ? await getAllTokenPrices() : null;
+  const solanaPrices = await getSolanaTokenPrices((userPrefs.customTokens || []).map(customToken => customToken.address));
+  const now = Date.now();
+  const rows = [];
+  const buttons = [];
+  
+  for (const token of userPrefs.tokens || []) {
+    const tokenInfo = TOKENS[token];
+    if (!tokenInfo) continue;
+    
+    const data = allPrices?.[tokenInfo.id];
+    if (data) {
+      const currentPrice = parseFloat(data.usd);
+      const change24h = data.usd_24h_change ? data.usd_24h_change.toFixed(2) : '0.00';
+      rows.push({
+        symbol: tokenInfo.symbol,
+        price: currentPrice.toFixed(2),
+        change24h,
+        directionEmoji: getDirectionEmoji(priceHistory, token, currentPrice, change24h, now),
+        source: data.source
+      });
+      appendPriceHistory(priceHistory, token, currentPrice, now);
+    } else {
+      rows.push({ symbol: tokenInfo.symbol });
+    }
+    buttons.push({ text: `🔍 $${tokenInfo.symbol.toUpperCase()}`, callback_data: `detail_${token}` });
+  }
+  
+  for (const customToken of userPrefs.customTokens || []) {
+    if (!customToken.address || !customToken.symbol) continue;
+    
+    const priceData = solanaPrices[customToken.address];
+    if (priceData) {
+      const historyKey = `solana_${customToken.address}`;
+      const currentPrice = parseFloat(priceData.price);
+      const marketCap = customToken.marketCap || await getMarketCapFromPrice(customToken.address, priceData.price);
+      rows.push({
+        symbol: customToken.symbol,
+        price: priceData.price,
+        change24h: priceData.change24h,
+        directionEmoji: getDirectionEmoji(priceHistory, historyKey, currentPrice, priceData.change24h, now),
+        mcapText: marketCap ? formatMarketCap(marketCap) : null,
+        source: priceData.source
+      });
+      appendPriceHistory(priceHistory, historyKey, currentPrice, now);
+    } else {
+      rows.push({ symbol: customToken.symbol });
+    }
+    buttons.push({ text: `🔍 $${customToken.symbol.toUpperCase()}`, callback_data: `detail_${customToken.address}` });
+  }
+  
+  if (rows.length === 0) return null;
+  await savePriceHistory(priceHistory);
+  
+  // Two detail buttons per row
+  const keyboard = { inline_keyboard: [] };
+  for (let i = 0; i < buttons.length; i += 2) {
+    keyboard.inline_keyboard.push(buttons.slice(i, i + 2));
+  }
+  
+  return { text: formatConsolidatedUpdate(rows, userPrefs.timezone, title), keyboard };
+}
 
+// Send one consolidated message with all of the user's tokens
+async function sendConsolidatedUpdate(bot, chatId, userPrefs) {
+  const update = await buildConsolidatedUpdate(userPrefs);
+  if (!update) return;
+  
+  try {
+    await sendMessage(bot, chatId, update.text, {
+      parse_mode: 'Markdown',
+      reply_markup: update.keyboard
+    });
+  } catch (error) {
+    console.error(`Error sending consolidated update to ${chatId}:`, error.message);
+  }
+}
+
+// Post a new live board message, pin it and remember its id
+async function postLiveBoard(bot, chatId, update) {
+  const sent = await sendMessage(bot, chatId, update.text, {
+    parse_mode: 'Markdown',
+    reply_markup: update.keyboard
+  });
+  
   try {
-    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown', disable_web_page_preview: true });
+    await pinChatMessage(bot, chatId, sent.message_id, { disable_notification: true });
   } catch (error) {
-    if (error.response?.statusCode === 403 || error.response?.statusCode === 400) {
-      const users = await loadUsers();
-      delete users[chatId];
-      await saveUsers(users);
+    // Pinning is optional (e.g. no rights in a group), the board still works unpinned
+    console.log(`Could not pin live board for ${chatId}: ${error.message}`);
+  }
+  
+  await updateUserPreferences(chatId, { liveBoard: { messageId: sent.message_id, createdAt: Date.now() } });
+  console.log(`📌 Posted live board ${sent.message_id} for user ${chatId}`);
+}
+
+// Update the user's live board in place (one pinned message edited every tick)
+// Re-posts the board when it was deleted, can't be edited anymore or is older than LIVE_BOARD_MAX_AGE_HOURS
+async function sendLiveBoard(bot, chatId, userPrefs) {
+  const update = await buildConsolidatedUpdate(userPrefs, '📌 *Live Board*');
+  if (!update) return;
+  
+  const board = userPrefs.liveBoard;
+  const isTooOld = board && Date.now() - board.createdAt > LIVE_BOARD_MAX_AGE_HOURS * 60 * 60 * 1000;
+  
+  try {
+    if (board && board.messageId && !isTooOld) {
+      try {
+        await editMessageText(bot, update.text, {
+          chat_id: chatId,
+          message_id: board.messageId,
+          parse_mode: 'Markdown',
+          reply_markup: update.keyboard
+        });
+        return;
+      } catch (error) {
+        const description = error.response?.body?.description || error.message || '';
+        // Same prices as last tick - nothing to do
+        if (description.includes('message is not modified')) return;
+        // Deleted / too old / otherwise not editable - fall through and post a fresh board
+        // (blocked chats are handled by the delivery queue)
+        if (error.response?.statusCode === 403) throw error;
+        console.log(`Live board ${board.messageId} for ${chatId} not editable (${description}), posting a new one`);
+      }
+    }
+    
+    if (board && board.messageId) {
+      // Replace the old board so only one stays pinned
+      try {
+        await unpinChatMessage(bot, chatId, { message_id: board.messageId });
+      } catch (error) {
+        // Already unpinned or deleted
+      }
     }
+    await postLiveBoard(bot, chatId, update);
+  } catch (error) {
+    console.error(`Error updating live board for ${chatId}:`, error.message);
+  }
+}
+
+// Stop the live board (unpin it and forget the message id)
+async function stopLiveBoard(bot, chatId, userPrefs) {
+  const board = userPrefs.liveBoard;
+  if (!board) return;
+  
+  try {
+    await unpinChatMessage(bot, chatId, { message_id: board.messageId });
+  } catch (error) {
+    // Already unpinned or deleted
   }
+  await updateUserPreferences(chatId, { liveBoard: null });
 }
 
 // Send updates for all user's subscribed tokens
@@ -322,12 +409,30 @@ async function sendUserUpdates(bot, chatId, userPrefs) {
     customTokens: (userPrefs.customTokens || []).map(ct => ({ symbol: ct.symbol, address: ct.address?.substring(0, 8) + '...' }))
   });
 
+  // Coins added with /addcoin need to be in TOKENS
+  await initializeTokenRegistry();
+  
+  // Warm the shared Solana price cache for all of this user's mints in one batch
+  // (users updating on the same tick share the request)
+  await getSolanaTokenPrices((userPrefs.customTokens || []).map(customToken => customToken.address));
+
+  // One consolidated message instead of a message per token
+  if (userPrefs.updateMode === 'digest') {
+    await sendConsolidatedUpdate(bot, chatId, userPrefs);
+    return;
+  }
+  
+  // One pinned message edited in place
+  if (userPrefs.updateMode === 'live') {
+    await sendLiveBoard(bot, chatId, userPrefs);
+    return;
+  }
+
   // Send standard token updates
   for (const token of userPrefs.tokens || []) {
     if (TOKENS[token]) {
       try {
-        await sendPriceUpdate(bot, chatId, token);
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await sendPriceUpdate(bot, chatId, token, userPrefs.timezone);
       } catch (error) {
         console.error(`Error sending price update for ${token}:`, error.message);
       }
@@ -339,8 +444,7 @@ async function sendUserUpdates(bot, chatId, userPrefs) {
     if (customToken.address && customToken.symbol) {
       try {
         console.log(`Sending update for custom token ${customToken.symbol} (${customToken.address.substring(0, 8)}...)`);
-        await sendCustomTokenUpdate(bot, chatId, customToken.address, customToken);
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await sendCustomTokenUpdate(bot, chatId, customToken.address, customToken, userPrefs.timezone);
       } catch (error) {
         console.error(`Error sending custom token update for ${customToken.symbol}:`, error.message, error.stack);
       }
@@ -351,20 +455,41 @@ async function sendUserUpdates(bot, chatId, userPrefs) {
 }
 
 // Send instant alert to user for price drop
-async function sendPriceDropAlert(bot, chatId, token, priceData, dropPercentage, previousPrice) {
+async function sendPriceDropAlert(bot, chatId, token, priceData, dropPercentage, previousPrice, threshold, windowLabel, timezone = null) {
   const tokenInfo = TOKENS[token];
-  const message = formatAlertMessage(tokenInfo, priceData, dropPercentage, previousPrice);
+  const message = formatAlertMessage(tokenInfo, priceData, dropPercentage, previousPrice, threshold, windowLabel, timezone);
 
   try {
-    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    await sendMessage(bot, chatId, message, { parse_mode: 'Markdown' }, 'alert');
     console.log(`Alert sent to user ${chatId} for ${tokenInfo.name} (${dropPercentage.toFixed(2)}% drop)`);
   } catch (error) {
-    // If user blocked bot or chat doesn't exist, remove them
-    if (error.response?.statusCode === 403 || error.response?.statusCode === 400) {
-      const users = await loadUsers();
-      delete users[chatId];
-      await saveUsers(users);
-    }
+    console.error(`Error sending drop alert to ${chatId}:`, error.message);
+  }
+}
+
+// Send instant alert to user for price rise
+async function sendPriceRiseAlert(bot, chatId, token, priceData, risePercentage, previousPrice, threshold, windowLabel, timezone = null) {
+  const tokenInfo = TOKENS[token];
+  const message = formatRiseAlertMessage(tokenInfo, priceData, risePercentage, previousPrice, threshold, windowLabel, null, null, timezone);
+
+  try {
+    await sendMessage(bot, chatId, message, { parse_mode: 'Markdown' }, 'alert');
+    console.log(`Rise alert sent to user ${chatId} for ${tokenInfo.name} (${risePercentage.toFixed(2)}% rise)`);
+  } catch (error) {
+    console.error(`Error sending rise alert to ${chatId}:`, error.message);
+  }
+}
+
+// Send "resolved" message once the price recovered from an earlier drop alert
+async function sendPriceResolvedAlert(bot, chatId, token, priceData, state, timezone = null) {
+  const tokenInfo = TOKENS[token];
+  const message = formatResolvedAlertMessage(tokenInfo, priceData, state, null, timezone);
+
+  try {
+    await sendMessage(bot, chatId, message, { parse_mode: 'Markdown' }, 'alert');
+    console.log(`Resolved alert sent to user ${chatId} for ${tokenInfo.name}`);
+  } catch (error) {
+    console.error(`Error sending resolved alert to ${chatId}:`, error.message);
   }
 }
 
@@ -372,6 +497,11 @@ module.exports = {
   sendPriceUpdate,
   sendCustomTokenUpdate,
   sendUserUpdates,
-  sendPriceDropAlert
+  sendConsolidatedUpdate,
+  sendLiveBoard,
+  stopLiveBoard,
+  sendPriceDropAlert,
+  sendPriceRiseAlert,
+  sendPriceResolvedAlert
 };
 
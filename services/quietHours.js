@@ -0,0 +1,76 @@
+const { addDigestItem, loadDigestItems, clearDigestItems, loadUsers } = require('../utils/storage');
+const { CRITICAL_ALERT_TYPES, MAX_DIGEST_ITEMS, DEFAULT_TIMEZONE } = require('../config/alerts');
+const { isInQuietHours, isValidTimezone } = require('../utils/time');
+const { sendMessage } = require('./deliveryQueue');
+const { classifyDeliveryError, isUndeliverable } = require('./deliveryHealth');
+
+// Hold back a non-critical alert while the user is in quiet hours
+// Returns true if the alert was queued for the morning digest (caller should not send it)
+async function queueIfQuiet(chatId, userPrefs, alertType, summary) {
+  if (CRITICAL_ALERT_TYPES.includes(alertType)) return false;
+  if (!isInQuietHours(userPrefs)) return false;
+  
+  await addDigestItem(chatId, alertType, summary);
+  console.log(`🌙 Queued ${alertType} alert for user ${chatId} (quiet hours)`);
+  return true;
+}
+
+// Format the time an item was queued in the user's timezone (HH:MM)
+function formatDigestTime(timestamp, timezone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(new Date(timestamp));
+}
+
+// Build the digest message from queued items
+function formatDigestMessage(items, timezone) {
+  const lines = items.slice(0, MAX_DIGEST_ITEMS).map(item => `${formatDigestTime(item.createdAt, timezone)}  ${item.summary}`);
+  let message = `🌅 Morning digest - ${items.length} alert${items.length === 1 ? '' : 's'} while you were away\n\n${lines.join('\n')}`;
+  if (items.length > MAX_DIGEST_ITEMS) {
+    message += `\n…and ${items.length - MAX_DIGEST_ITEMS} more`;
+  }
+  return message;
+}
+
+// Send the queued digest to every user whose quiet hours are over
+async function sendDueDigests(bot) {
+  const items = await loadDigestItems();
+  if (items.length === 0) return;
+  
+  const itemsByChat = {};
+  for (const item of items) {
+    if (!itemsByChat[item.chatId]) itemsByChat[item.chatId] = [];
+    itemsByChat[item.chatId].push(item);
+  }
+  
+  const users = await loadUsers();
+  for (const [chatId, chatItems] of Object.entries(itemsByChat)) {
+    const userPrefs = users[chatId];
+    if (!userPrefs || isUndeliverable(userPrefs)) {
+      // User is gone or unreachable, drop their queue
+      await clearDigestItems(chatId);
+      continue;
+    }
+    if (isInQuietHours(userPrefs)) continue;
+    
+    try {
+      await sendMessage(bot, chatId, formatDigestMessage(chatItems, userPrefs.timezone), { disable_web_page_preview: true });
+      console.log(`🌅 Sent digest with ${chatItems.length} item(s) to user ${chatId}`);
+    } catch (error) {
+      console.error(`Error sending digest to ${chatId}:`, error.message);
+      if (!classifyDeliveryError(error)) {
+        // Not the chat's fault (429, network...) - keep the queue and retry on the next run
+        continue;
+      }
+    }
+    await clearDigestItems(chatId);
+  }
+}
+
+module.exports = {
+  queueIfQuiet,
+  sendDueDigests
+};
@@ -1,6 +1,7 @@
 const cron = require('node-cron');
 const { getUserPreferences } = require('../utils/storage');
 const { sendUserUpdates } = require('./priceUpdates');
+const { isInQuietHours } = require('../utils/time');
 
 // Scheduled job to send updates
 let scheduledJobs = {};
@@ -36,6 +37,8 @@ function scheduleUserUpdates(bot, chatId, userPrefs) {
     const userInfo = await getUserPreferences(chatId);
     const currentPrefs = { ...userInfo };
     delete currentPrefs.isNew;
+    // No periodic updates during the user's quiet hours
+    if (isInQuietHours(currentPrefs)) return;
     await sendUserUpdates(bot, chatId, currentPrefs);
   });
 
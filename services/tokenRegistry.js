@@ -0,0 +1,84 @@
+const { TOKENS } = require('../config/tokens');
+const { loadRegisteredTokens, saveRegisteredToken } = require('../utils/storage');
+const { searchCoinBySymbol, clearPriceCache } = require('../utils/api');
+const { fetchMainTokenPrices } = require('../utils/priceProviders');
+
+let registryPromise = null;
+
+// Load tokens registered with /addcoin into TOKENS (once per process)
+// TOKENS is shared, so everything that iterates it (price checks, alerts, menus) picks them up
+function initializeTokenRegistry() {
+  if (!registryPromise) {
+    registryPromise = (async () => {
+      const registered = await loadRegisteredTokens();
+      for (const [tokenKey, token] of Object.entries(registered)) {
+        if (!TOKENS[tokenKey]) {
+          TOKENS[tokenKey] = { id: token.id, symbol: token.symbol, name: token.name, emoji: '' };
+        }
+      }
+      console.log(`✅ Loaded ${Object.keys(registered).length} registered main token(s)`);
+    })().catch(error => {
+      console.error('Error loading registered tokens:', error.message);
+      // Let the next caller retry instead of running without the registered tokens until a restart
+      registryPromise = null;
+    });
+  }
+  return registryPromise;
+}
+
+// Find a main token key by ticker ("btc", "$LINK") or key ("bitcoin")
+function findTokenKey(symbolOrKey) {
+  const query = (symbolOrKey || '').replace(/^\$/, '').toLowerCase();
+  if (!query) return null;
+  if (TOKENS[query]) return query;
+  return Object.keys(TOKENS).find(key => TOKENS[key].symbol.toLowerCase() === query) || null;
+}
+
+// Resolve a ticker to a main token, registering it if it isn't known yet
+// Returns { tokenKey, isNew } or { error } with a user-facing reason
+async function resolveAndRegisterToken(symbol, addedBy = null) {
+  const existingKey = findTokenKey(symbol);
+  if (existingKey) {
+    return { tokenKey: existingKey, isNew: false };
+  }
+  
+  const ticker = symbol.replace(/^\$/, '').toUpperCase();
+  if (!/^[A-Z0-9]{2,10}$/.test(ticker)) {
+    return { error: `"${symbol}" doesn't look like a ticker.` };
+  }
+  
+  const coin = await searchCoinBySymbol(ticker);
+  if (!coin) {
+    return { error: `Couldn't find a coin with the ticker ${ticker}.` };
+  }
+  
+  // Make sure at least one of the main price providers can actually price it
+  const priceData = await fetchMainTokenPrices([{ id: coin.id, symbol: ticker }]);
+  if (!priceData) {
+    return { error: `Found ${coin.name} (${ticker}) but no live price is available for it.` };
+  }
+  
+  // Another coin could already use this CoinGecko id under a different ticker
+  if (TOKENS[coin.id]) {
+    return { tokenKey: coin.id, isNew: false };
+  }
+  
+  // Save first - a token that only exists in memory would vanish on the next restart
+  const token = { id: coin.id, symbol: ticker, name: coin.name, addedBy, createdAt: Date.now() };
+  try {
+    await saveRegisteredToken(token);
+  } catch (error) {
+    return { error: `Couldn't save ${coin.name} (${ticker}) right now. Please try again later.` };
+  }
+  TOKENS[coin.id] = { id: coin.id, symbol: ticker, name: coin.name, emoji: '' };
+  clearPriceCache();
+  
+  console.log(`🪙 Registered main token ${coin.name} (${ticker}) as "${coin.id}"`);
+  return { tokenKey: coin.id, isNew: true };
+}
+
+module.exports = {
+  initializeTokenRegistry,
+  findTokenKey,
+  resolveAndRegisterToken
+};
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getKOLFilters, hasOwnKOLFilters, getKOLFilterRejection } = require('../services/kolFilters');
+const { DEFAULT_KOL_FILTERS } = require('../config/alerts');
+
+const KOL = 'CyaE1VxvBrahnPWkqm5VsdCvyS2QmNht2UFrKJHga54o';
+
+const buy = { type: 'buy', solAmount: 1, isFirstBuy: true, isInstantFlip: false, marketCap: 200000, deviationTypes: [] };
+
+test('default filters let every alert through', () => {
+  assert.strictEqual(getKOLFilterRejection(DEFAULT_KOL_FILTERS, buy), null);
+  assert.strictEqual(getKOLFilterRejection(DEFAULT_KOL_FILTERS, { ...buy, type: 'sell', isFirstBuy: false }), null);
+});
+
+test('a KOL\'s own filters replace the global ones', () => {
+  const prefs = { kolFilters: { global: { minSol: 5 }, kols: { [KOL]: { side: 'sells' } } } };
+  assert.strictEqual(getKOLFilters(prefs).minSol, 5);
+  assert.strictEqual(getKOLFilters(prefs, 'other').minSol, 5);
+  assert.deepStrictEqual(getKOLFilters(prefs, KOL), { ...DEFAULT_KOL_FILTERS, side: 'sells' });
+  assert.strictEqual(hasOwnKOLFilters(prefs, KOL), true);
+  assert.strictEqual(hasOwnKOLFilters(prefs, 'other'), false);
+});
+
+test('each filter rejects the trades it targets', () => {
+  const check = (filters, trade) => getKOLFilterRejection({ ...DEFAULT_KOL_FILTERS, ...filters }, { ...buy, ...trade });
+
+  assert.strictEqual(check({ minSol: 2 }, {}), 'below 2 SOL');
+  assert.strictEqual(check({ side: 'sells' }, {}), 'sells only');
+  assert.strictEqual(check({ side: 'buys' }, { type: 'sell' }), 'buys only');
+  assert.strictEqual(check({ firstBuyOnly: true }, { isFirstBuy: false }), 'not a first buy');
+  assert.strictEqual(check({ firstBuyOnly: true }, { type: 'sell', isFirstBuy: false }), null);
+  assert.strictEqual(check({ excludeInstantFlips: true }, { isInstantFlip: true }), 'instant flip');
+  assert.strictEqual(check({ minMarketCap: 500000 }, {}), 'market cap below range');
+  assert.strictEqual(check({ maxMarketCap: 100000 }, {}), 'market cap above range');
+  assert.strictEqual(check({ excludeFarming: true }, { deviationTypes: ['low_mcap_farming'] }), 'low mcap farming');
+});
+
+test('unknown market cap never filters an alert out', () => {
+  const filters = { ...DEFAULT_KOL_FILTERS, minMarketCap: 50000, maxMarketCap: 1000000 };
+  assert.strictEqual(getKOLFilterRejection(filters, { ...buy, marketCap: null }), null);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// Keep the pipeline's progress logs out of the test runner's output
+test.mock.method(console, 'log', () => {});
+
+// kolMonitor destructures storage at require time - stub storage (and the price API) before loading it
+const storage = require('../utils/storage');
+const api = require('../utils/api');
+
+const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'swaps', 'pumpfun-buy.json'), 'utf8'));
+const KOL = fixture.wallet;
+// The fixture's own timestamp is long past - live trades happen now
+const liveBuy = () => ({ ...fixture.transaction, timestamp: Math.floor(Date.now() / 1000) });
+
+const queued = [];
+const applied = new Set();
+let behaviorUpdates = 0;
+let updateBalance = async () => 0;
+Object.assign(storage, {
+  getProcessedKOLSignatures: async (kolAddress, signatures) => new Set(signatures.filter(sig => applied.has(sig))),
+  markKOLSignaturesProcessed: async (kolAddress, signatures) => { signatures.forEach(sig => applied.add(sig)); },
+  hasAlertedOnTransaction: async () => false,
+  markTransactionAsAlerted: async () => {},
+  getKOLTokenBalance: async () => null,
+  updateKOLTokenBalance: (...args) => updateBalance(...args),
+  saveKOLTransaction: async () => {},
+  updateKOLActivityPattern: async () => {},
+  saveTokenPerformance: async () => {},
+  getKOLsForToken: async () => [KOL],
+  getKOLTransactionHistory: async () => [],
+  analyzeTokenPattern: async () => null,
+  detectKOLDeviation: async () => [],
+  updateKOLBehaviorPattern: async () => { behaviorUpdates++; },
+  addPendingKOLAlert: async (alert) => { queued.push(alert); },
+  loadDuePendingKOLAlerts: async () => []
+});
+Object.assign(api, {
+  getSolanaTokenPrice: async () => ({ price: 0.000003 }),
+  getSolanaTokenInfo: async () => ({ name: 'Farm', symbol: 'FARM', marketCap: 3000 })
+});
+
+const { processKOLTransactions } = require('../services/kolMonitor');
+
+test.beforeEach(() => {
+  queued.length = 0;
+  applied.clear();
+});
+
+test('an ultra-low market cap buy is flagged as farming and filtered for users who exclude it', async () => {
+  const users = {
+    '1': { subscribed: true, trackedKOLs: [KOL] },
+    '2': { subscribed: true, trackedKOLs: [KOL], kolFilters: { global: { excludeFarming: true } } }
+  };
+
+  await processKOLTransactions(null, KOL, [liveBuy()], users, null);
+
+  assert.strictEqual(behaviorUpdates, 1);
+  assert.deepStrictEqual(queued.map(alert => alert.chatId), ['1']);
+  assert.match(queued[0].message, /Ultra-low market cap buy \(\$3\.00k\)/);
+});
+
+test('a transaction whose balance update failed is retried, one that was applied is not', async () => {
+  const users = { '1': { subscribed: true, trackedKOLs: [KOL] } };
+  const tx = { ...liveBuy(), signature: 'retriedSignature' };
+  let balanceUpdates = 0;
+
+  updateBalance = async () => { throw new Error('database unavailable'); };
+  await assert.rejects(processKOLTransactions(null, KOL, [tx], users, null));
+  assert.strictEqual(applied.size, 0);
+
+  updateBalance = async () => { balanceUpdates++; return 0; };
+  await processKOLTransactions(null, KOL, [tx], users, null);
+  await processKOLTransactions(null, KOL, [tx], users, null);
+  updateBalance = async () => 0;
+
+  assert.strictEqual(balanceUpdates, 1);
+  assert.deepStrictEqual([...applied], ['retriedSignature']);
+});
+
+test('a backfilled page of old trades updates balances without alerting', async () => {
+  const users = { '1': { subscribed: true, trackedKOLs: [KOL] } };
+  const hourAgo = Math.floor(Date.now() / 1000) - 3600;
+  // Newest first, like a history page
+  const oldPage = [1, 2, 3].map(n => ({ ...fixture.transaction, signature: `oldSignature${n}`, timestamp: hourAgo - n * 600 }));
+  let balanceUpdates = 0;
+  updateBalance = async () => { balanceUpdates++; return 0; };
+
+  await processKOLTransactions(null, KOL, oldPage, users, null);
+  updateBalance = async () => 0;
+
+  assert.strictEqual(balanceUpdates, 3);
+  assert.strictEqual(queued.length, 0);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { WebSocketServer } = require('ws');
+const { startKOLStream, stopKOLStream, syncSubscriptions, getKOLStreamStatus } = require('../services/kolStream');
+
+// Keep the stream's progress logs out of the test runner's output
+test.mock.method(console, 'log', () => {});
+
+const KOL_A = 'CyaE1VxvBrahnPWkqm5VsdCvyS2QmNht2UFrKJHga54o';
+const KOL_B = '2fg5QD1eD7rzNNCsvnhmXFm5hqNgwTTG8p7kQ6f3rx6f';
+
+// Minimal Solana RPC websocket: answers logsSubscribe/logsUnsubscribe and records every request
+function createMockRpc() {
+  const server = new WebSocketServer({ port: 0 });
+  const rpc = { server, requests: [], sockets: [], subscriptions: new Map(), nextSubscription: 100 };
+
+  server.on('connection', (socket) => {
+    rpc.sockets.push(socket);
+    socket.on('message', (data) => {
+      const request = JSON.parse(data.toString());
+      rpc.requests.push(request);
+      if (request.method === 'logsSubscribe') {
+        const id = rpc.nextSubscription++;
+        rpc.subscriptions.set(request.params[0].mentions[0], { id, socket });
+        socket.send(JSON.stringify({ jsonrpc: '2.0', id: request.id, result: id }));
+      } else if (request.method === 'logsUnsubscribe') {
+        for (const [address, sub] of rpc.subscriptions) {
+          if (sub.id === request.params[0]) rpc.subscriptions.delete(address);
+        }
+        socket.send(JSON.stringify({ jsonrpc: '2.0', id: request.id, result: true }));
+      }
+    });
+  });
+
+  rpc.url = () => `ws://127.0.0.1:${server.address().port}`;
+  rpc.notify = (address, signature, err = null) => {
+    const sub = rpc.subscriptions.get(address);
+    sub.socket.send(JSON.stringify({
+      jsonrpc: '2.0',
+      method: 'logsNotification',
+      params: { subscription: sub.id, result: { context: { slot: 1 }, value: { signature, err, logs: [] } } }
+    }));
+  };
+  rpc.close = () => new Promise(resolve => {
+    rpc.sockets.forEach(socket => socket.terminate());
+    server.close(resolve);
+  });
+  return rpc;
+}
+
+async function waitFor(condition, timeoutMs = 3000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function subscribedAddresses(rpc) {
+  return Array.from(rpc.subscriptions.keys()).sort();
+}
+
+test('subscribes tracked KOLs and batches confirmed signatures per wallet', async (t) => {
+  const rpc = createMockRpc();
+  const received = [];
+  startKOLStream(null, {
+    url: rpc.url(),
+    getTrackedAddresses: async () => [KOL_A, KOL_B],
+    onSignatures: (address, signatures) => received.push({ address, signatures }),
+    batchMs: 50,
+    syncSeconds: 3600
+  });
+  t.after(async () => { stopKOLStream(); await rpc.close(); });
+
+  await waitFor(() => getKOLStreamStatus().subscriptions === 2);
+  assert.deepStrictEqual(subscribedAddresses(rpc), [KOL_A, KOL_B].sort());
+  const subscribe = rpc.requests.find(request => request.method === 'logsSubscribe');
+  assert.deepStrictEqual(subscribe.params[1], { commitment: 'confirmed' });
+
+  rpc.notify(KOL_A, 'sig1');
+  rpc.notify(KOL_A, 'sig2');
+  rpc.notify(KOL_A, 'sig1'); // duplicate notification
+  rpc.notify(KOL_B, 'sigFailed', { InstructionError: [0, 'Custom'] });
+  rpc.notify(KOL_B, 'sig3');
+
+  await waitFor(() => received.length === 2);
+  const byAddress = Object.fromEntries(received.map(batch => [batch.address, batch.signatures]));
+  assert.deepStrictEqual(byAddress[KOL_A], ['sig1', 'sig2']);
+  assert.deepStrictEqual(byAddress[KOL_B], ['sig3']);
+});
+
+test('re-subscribes when the tracked set changes', async (t) => {
+  const rpc = createMockRpc();
+  let tracked = [KOL_A];
+  startKOLStream(null, {
+    url: rpc.url(),
+    getTrackedAddresses: async () => tracked,
+    onSignatures: () => {},
+    syncSeconds: 3600
+  });
+  t.after(async () => { stopKOLStream(); await rpc.close(); });
+
+  await waitFor(() => getKOLStreamStatus().subscriptions === 1);
+
+  tracked = [KOL_B];
+  await syncSubscriptions();
+  await waitFor(() => subscribedAddresses(rpc).join() === KOL_B && getKOLStreamStatus().subscriptions === 1);
+  assert.ok(rpc.requests.some(request => request.method === 'logsUnsubscribe'));
+});
+
+test('reconnects with backoff, restores subscriptions and backfills the gap', async (t) => {
+  const rpc = createMockRpc();
+  const received = [];
+  let backfills = 0;
+  startKOLStream(null, {
+    url: rpc.url(),
+    getTrackedAddresses: async () => [KOL_A],
+    onSignatures: (address, signatures) => received.push(...signatures),
+    onReconnect: () => { backfills++; },
+    reconnectBaseMs: 20,
+    batchMs: 10,
+    syncSeconds: 3600
+  });
+  t.after(async () => { stopKOLStream(); await rpc.close(); });
+
+  await waitFor(() => getKOLStreamStatus().subscriptions === 1);
+  rpc.subscriptions.clear();
+  rpc.sockets.forEach(socket => socket.terminate());
+
+  await waitFor(() => getKOLStreamStatus().connects === 2 && getKOLStreamStatus().subscriptions === 1);
+  assert.strictEqual(getKOLStreamStatus().reconnectAttempts, 0);
+  assert.strictEqual(backfills, 1);
+
+  rpc.notify(KOL_A, 'afterReconnect');
+  await waitFor(() => received.includes('afterReconnect'));
+
+  // A second drop right away is left to the regular backfill
+  rpc.subscriptions.clear();
+  rpc.sockets.forEach(socket => socket.terminate());
+  await waitFor(() => getKOLStreamStatus().connects === 3 && getKOLStreamStatus().subscriptions === 1);
+  assert.strictEqual(backfills, 1);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { matchKOLAlertSources, getKOLAlertRecipients, getKOLAlertSources } = require('../services/kolSubscriptions');
+
+const KOL = 'CyaE1VxvBrahnPWkqm5VsdCvyS2QmNht2UFrKJHga54o';
+const MINT = '7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hr';
+
+const buy = { kolAddress: KOL, tokenMint: MINT, type: 'buy', kolCount: 1, isGoodToken: false };
+const marketWide = { convergence: true, goodToken: true };
+
+test('matches each source independently', () => {
+  const tracker = { subscribed: true, trackedKOLs: [KOL] };
+  const holder = { subscribed: true, trackedKOLs: [], customTokens: [{ address: MINT.toLowerCase(), symbol: 'POPCAT' }] };
+  const bystander = { subscribed: true, trackedKOLs: [], kolAlertSources: marketWide };
+
+  assert.deepStrictEqual(matchKOLAlertSources(tracker, buy), ['trackedKols']);
+  assert.deepStrictEqual(matchKOLAlertSources(holder, buy), ['heldTokens']);
+  assert.deepStrictEqual(matchKOLAlertSources(bystander, buy), []);
+  assert.deepStrictEqual(matchKOLAlertSources(bystander, { ...buy, kolCount: 3 }), ['convergence']);
+  assert.deepStrictEqual(matchKOLAlertSources(bystander, { ...buy, isGoodToken: true }), ['goodToken']);
+});
+
+test('market-wide sources are opt-in', () => {
+  const bystander = { subscribed: true, trackedKOLs: [] };
+  assert.deepStrictEqual(getKOLAlertSources(bystander), { trackedKols: true, heldTokens: true, convergence: false, goodToken: false });
+  assert.deepStrictEqual(matchKOLAlertSources(bystander, { ...buy, kolCount: 3, isGoodToken: true }), []);
+});
+
+test('convergence only applies to buys', () => {
+  const bystander = { subscribed: true, trackedKOLs: [], kolAlertSources: marketWide };
+  assert.deepStrictEqual(matchKOLAlertSources(bystander, { ...buy, type: 'sell', kolCount: 3 }), []);
+});
+
+test('switched-off sources and unsubscribed users never match', () => {
+  const user = { subscribed: true, trackedKOLs: [KOL], kolAlertSources: { trackedKols: false, convergence: true } };
+  assert.deepStrictEqual(matchKOLAlertSources(user, buy), []);
+  assert.deepStrictEqual(matchKOLAlertSources(user, { ...buy, kolCount: 2 }), ['convergence']);
+  assert.deepStrictEqual(getKOLAlertSources(user), { trackedKols: false, heldTokens: true, convergence: true, goodToken: false });
+
+  assert.deepStrictEqual(matchKOLAlertSources({ subscribed: false, trackedKOLs: [KOL] }, buy), []);
+  assert.deepStrictEqual(matchKOLAlertSources({ subscribed: true, trackedKOLs: [KOL], kolAlerts: false }, buy), []);
+});
+
+test('getKOLAlertRecipients returns only interested users', () => {
+  const users = {
+    '1': { subscribed: true, trackedKOLs: [KOL] },
+    '2': { subscribed: true, trackedKOLs: [] },
+    '3': { subscribed: false, trackedKOLs: [KOL] }
+  };
+  const recipients = getKOLAlertRecipients(users, buy);
+  assert.deepStrictEqual(recipients.map(r => [r.chatId, r.sources]), [['1', ['trackedKols']]]);
+});
+
+test('a privately tracked wallet only alerts the users tracking it', () => {
+  const privateBuy = { ...buy, kolCount: 3, isGoodToken: true, isPrivateWallet: true };
+  const tracker = { subscribed: true, trackedKOLs: [KOL] };
+  const holder = { subscribed: true, trackedKOLs: [], customTokens: [{ address: MINT, symbol: 'POPCAT' }], kolAlertSources: marketWide };
+
+  assert.deepStrictEqual(matchKOLAlertSources(tracker, privateBuy), ['trackedKols']);
+  assert.deepStrictEqual(matchKOLAlertSources(holder, privateBuy), []);
+});
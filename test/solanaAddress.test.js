@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isValidSolanaAddress, decodeBase58 } = require('../utils/solanaAddress');
+
+test('accepts base58 strings that decode to a 32-byte public key', () => {
+  assert.strictEqual(isValidSolanaAddress('CyaE1VxvBrahnPWkqm5VsdCvyS2QmNht2UFrKJHga54o'), true);
+  assert.strictEqual(isValidSolanaAddress('So11111111111111111111111111111111111111112'), true);
+  assert.strictEqual(isValidSolanaAddress('11111111111111111111111111111111'), true); // System program (all zeros)
+});
+
+test('rejects invalid characters, wrong lengths and non-strings', () => {
+  assert.strictEqual(isValidSolanaAddress('0yaE1VxvBrahnPWkqm5VsdCvyS2QmNht2UFrKJHga54o'), false); // '0' isn't base58
+  assert.strictEqual(isValidSolanaAddress('zzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzz'), false); // decodes to 33 bytes
+  assert.strictEqual(isValidSolanaAddress('CyaE1Vxv'), false);
+  assert.strictEqual(isValidSolanaAddress(null), false);
+});
+
+test('decodeBase58 keeps leading zero bytes', () => {
+  assert.deepStrictEqual(decodeBase58('1112'), [0, 0, 0, 1]);
+  assert.strictEqual(decodeBase58('abc0'), null);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseSwap, formatVenue } = require('../utils/swapParser');
+
+// Each fixture is a Helius enhanced transaction, the wallet it's parsed for and the expected swap (or null)
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'swaps');
+
+function assertClose(actual, expected, field) {
+  const tolerance = Math.max(Math.abs(expected) * 1e-12, 1e-9);
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${field}: expected ${expected}, got ${actual}`);
+}
+
+for (const file of fs.readdirSync(FIXTURES_DIR).filter(name => name.endsWith('.json')).sort()) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+
+  test(`${file.replace('.json', '')}: ${fixture.description}`, () => {
+    const swap = parseSwap(fixture.transaction, fixture.wallet);
+
+    if (fixture.expected === null) {
+      assert.strictEqual(swap, null);
+      return;
+    }
+
+    assert.ok(swap, 'expected a swap, got null');
+    assert.strictEqual(swap.signature, fixture.expected.signature);
+    assert.strictEqual(swap.type, fixture.expected.type);
+    assert.strictEqual(swap.tokenMint, fixture.expected.tokenMint);
+    assertClose(swap.tokenAmount, fixture.expected.tokenAmount, 'tokenAmount');
+    assertClose(swap.solAmount, fixture.expected.solAmount, 'solAmount');
+    assert.strictEqual(swap.timestamp.getTime(), fixture.transaction.timestamp * 1000);
+    assert.strictEqual(swap.venue, fixture.expected.venue);
+    assert.deepStrictEqual(swap.route, fixture.expected.route);
+  });
+}
+
+test('formats direct swaps and aggregator routes', () => {
+  assert.strictEqual(formatVenue('pumpfun', ['pumpfun']), 'pump.fun');
+  assert.strictEqual(formatVenue('jupiter', ['raydium_amm', 'meteora_dlmm']), 'Jupiter (Raydium AMM → Meteora DLMM)');
+  assert.strictEqual(formatVenue('jupiter', []), 'Jupiter');
+  assert.strictEqual(formatVenue(null, []), null);
+});
+
+test('a wallet that is only a counterparty in the swap gets null', () => {
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'pumpfun-buy.json'), 'utf8'));
+  const pumpFeeRecipient = fixture.transaction.nativeTransfers[2].toUserAccount;
+  assert.strictEqual(parseSwap(fixture.transaction, pumpFeeRecipient), null);
+});
@@ -1,5 +1,6 @@
-const axios = require('axios');
+const http = require('./http');
 const { TOKENS } = require('../config/tokens');
+const { fetchMainTokenPrices, fetchSolanaTokenPrices } = require('./priceProviders');
 
 // Price cache - query once per minute, cache for 1 minute
 const priceCache = {};
@@ -10,80 +11,97 @@ let fetchPromise = null; // Store the ongoing fetch promise
 // Solana token cache (1-5 minutes)
 const solanaPriceCache = {};
 const SOLANA_CACHE_TTL = 3 * 60 * 1000; // 3 minutes cache for Solana tokens
+const solanaPendingFetches = {}; // address -> promise of the batch fetch it's part of
 
 // Solana token metadata cache (5 minutes)
 const solanaMetadataCache = {};
 const METADATA_CACHE_TTL = 5 * 60 * 1000; // 5 minutes for metadata
 
-// Fetch Solana token price from GeckoTerminal (with caching)
-// For pump.fun tokens, also fetches market activity to get accurate 24h change
-async function getSolanaTokenPrice(tokenAddress) {
-  // Check cache first
-  const cached = solanaPriceCache[tokenAddress];
-  if (cached && Date.now() - cached.timestamp < SOLANA_CACHE_TTL) {
-    return cached.data;
+// Pump.fun market activity gives a more accurate 24h change for pump.fun tokens
+// Returns the provider's change if the token isn't on pump.fun (metadata is cached in getSolanaTokenInfo)
+async function getPump24hChange(tokenAddress, providerData) {
+  // pump.fun mints end in "pump" - skip the metadata lookup for everything else
+  if (!tokenAddress.endsWith('pump')) {
+    return providerData.change24h || 0;
   }
   
   try {
-    const response = await axios.get(
-      `https://api.geckoterminal.com/api/v2/simple/networks/solana/token_price/${tokenAddress}`,
-      {
-        headers: {
-          'Accept': 'application/json;version=20230203'
-        },
-        timeout: 10000
-      }
-    );
-    
-    const data = response.data?.data?.attributes;
-    if (!data || !data.token_prices || !data.token_prices[tokenAddress]) {
-      return null;
-    }
-    
-    const price = parseFloat(data.token_prices[tokenAddress]);
-    let change24h = data.h24_price_change_percentage?.[tokenAddress] || 0;
-    
-    // Try to get more accurate 24h change from pump.fun market activity
-    // First check if it's a pump.fun token by trying to get token info
-    try {
-      const tokenInfo = await getSolanaTokenInfo(tokenAddress);
-      if (tokenInfo && tokenInfo.pumpSwapPool && tokenInfo.transactions && tokenInfo.transactions.h24) {
-        // Use 24h priceChangePercent from pump.fun market activity (more accurate)
-        const pump24hChange = tokenInfo.transactions.h24.priceChangePercent;
-        if (typeof pump24hChange === 'number' && !isNaN(pump24hChange)) {
-          change24h = pump24hChange;
-          console.log(`Using pump.fun 24h change for ${tokenAddress}: ${change24h.toFixed(2)}%`);
-        }
+    const tokenInfo = await getSolanaTokenInfo(tokenAddress);
+    if (tokenInfo && tokenInfo.pumpSwapPool && tokenInfo.transactions && tokenInfo.transactions.h24) {
+      const pump24hChange = tokenInfo.transactions.h24.priceChangePercent;
+      if (typeof pump24hChange === 'number' && !isNaN(pump24hChange)) {
+        return pump24hChange;
       }
-    } catch (pumpError) {
-      // If pump.fun fetch fails, continue with GeckoTerminal data
-      console.log(`Could not fetch pump.fun data for ${tokenAddress}, using GeckoTerminal 24h change`);
     }
+  } catch (pumpError) {
+    // If pump.fun fetch fails, continue with the provider's 24h change
+    console.log(`Could not fetch pump.fun data for ${tokenAddress}, using ${providerData.source} 24h change`);
+  }
+  return providerData.change24h || 0;
+}
+
+// Fetch and cache prices for a set of mints
+async function fetchSolanaTokenPricesIntoCache(addresses) {
+  console.log(`📡 Fetching ${addresses.length} Solana token price(s) in batch...`);
+  const prices = await fetchSolanaTokenPrices(addresses);
+  
+  for (const [tokenAddress, providerData] of Object.entries(prices)) {
+    const price = providerData.price;
+    const change24h = await getPump24hChange(tokenAddress, providerData);
     
-    const result = {
-      price: price.toFixed(price < 0.01 ? 8 : price < 1 ? 6 : 2),
-      change24h: change24h.toFixed(2),
-      emoji: change24h >= 0 ? '📈' : '📉'
-    };
-    
-    // Cache the result
     solanaPriceCache[tokenAddress] = {
-      data: result,
+      data: {
+        price: price.toFixed(price < 0.01 ? 8 : price < 1 ? 6 : 2),
+        change24h: change24h.toFixed(2),
+        emoji: change24h >= 0 ? '📈' : '📉',
+        source: providerData.source
+      },
       timestamp: Date.now()
     };
-    
-    return result;
-  } catch (error) {
-    console.error(`Error fetching Solana token ${tokenAddress} price:`, error.message);
-    // Return cached data if available even if expired
-    if (cached) {
-      console.log(`Using expired cache for ${tokenAddress}`);
-      return cached.data;
-    }
-    return null;
   }
 }
 
+// Get prices for many Solana tokens at once (with caching)
+// Only mints missing from the cache are fetched, in multi-address batches; mints already
+// being fetched by another caller share that request. All services read the same cache.
+// Returns { [address]: priceData | null }
+async function getSolanaTokenPrices(tokenAddresses) {
+  const addresses = [...new Set(tokenAddresses.filter(Boolean))];
+  const now = Date.now();
+  
+  const stale = addresses.filter(address => {
+    const cached = solanaPriceCache[address];
+    return !(cached && now - cached.timestamp < SOLANA_CACHE_TTL) && !solanaPendingFetches[address];
+  });
+  
+  if (stale.length > 0) {
+    const fetchPromise = fetchSolanaTokenPricesIntoCache(stale)
+      .catch(error => {
+        console.error(`Error fetching Solana token prices:`, error.message);
+      })
+      .finally(() => {
+        stale.forEach(address => delete solanaPendingFetches[address]);
+      });
+    stale.forEach(address => { solanaPendingFetches[address] = fetchPromise; });
+  }
+  
+  // Wait for our own fetch and any fetch already in flight for these mints
+  await Promise.all([...new Set(addresses.map(address => solanaPendingFetches[address]).filter(Boolean))]);
+  
+  const result = {};
+  for (const address of addresses) {
+    // Expired cache is still better than nothing if every provider failed
+    result[address] = solanaPriceCache[address]?.data || null;
+  }
+  return result;
+}
+
+// Get the price of a single Solana token (reads the shared cache, see getSolanaTokenPrices)
+async function getSolanaTokenPrice(tokenAddress) {
+  const prices = await getSolanaTokenPrices([tokenAddress]);
+  return prices[tokenAddress] || null;
+}
+
 // Get Solana token info (name, symbol, metadata, holders, transactions)
 async function getSolanaTokenInfo(tokenAddress) {
   // Check metadata cache first
@@ -98,7 +116,7 @@ async function getSolanaTokenInfo(tokenAddress) {
     let isPumpFun = false;
     
     try {
-      const pumpFunResponse = await axios.get(
+      const pumpFunResponse = await http.get(
         `https://frontend-api-v3.pump.fun/coins/${tokenAddress}`,
         {
           timeout: 10000
@@ -124,7 +142,7 @@ async function getSolanaTokenInfo(tokenAddress) {
         // Fetch market activity data if we have a pool
         if (result.pumpSwapPool) {
           try {
-            const marketActivityResponse = await axios.get(
+            const marketActivityResponse = await http.get(
               `https://swap-api.pump.fun/v1/pools/${result.pumpSwapPool}/market-activity`,
               {
                 timeout: 10000
@@ -197,7 +215,7 @@ async function getSolanaTokenInfo(tokenAddress) {
     
     // Fallback to GeckoTerminal if not pump.fun token
     if (!isPumpFun) {
-      const tokenResponse = await axios.get(
+      const tokenResponse = await http.get(
         `https://api.geckoterminal.com/api/v2/networks/solana/tokens/${tokenAddress}`,
         {
           headers: {
@@ -225,7 +243,7 @@ async function getSolanaTokenInfo(tokenAddress) {
       
       // Try to get token info with holders and pool data
       try {
-        const infoResponse = await axios.get(
+        const infoResponse = await http.get(
           `https://api.geckoterminal.com/api/v2/networks/solana/tokens/${tokenAddress}/info`,
           {
             headers: {
@@ -253,7 +271,7 @@ async function getSolanaTokenInfo(tokenAddress) {
           // Pool ID format: "solana_pooladdress" - extract just the address part
           const poolAddress = topPoolId.includes('_') ? topPoolId.split('_')[1] : topPoolId;
           try {
-            const poolResponse = await axios.get(
+            const poolResponse = await http.get(
               `https://api.geckoterminal.com/api/v2/networks/solana/pools/${poolAddress}`,
               {
                 headers: {
@@ -302,79 +320,34 @@ async function getSolanaTokenInfo(tokenAddress) {
   }
 }
 
-// Fetch prices from FreeCryptoAPI (once per minute)
-async function fetchFromFreeCryptoAPI() {
-  const apiKey = process.env.FREECRYPTOAPI_KEY;
-  if (!apiKey) {
-    console.error('❌ FREECRYPTOAPI_KEY not set in environment variables');
-    return null;
-  }
-
+// Search CoinGecko for a ticker (e.g. "LINK")
+// Returns the highest ranked coin with that exact symbol as { id, symbol, name }, or null
+async function searchCoinBySymbol(symbol) {
   try {
-    // Map our token IDs to FreeCryptoAPI symbols
-    const tokenSymbols = {
-      'bitcoin': 'BTC',
-      'ethereum': 'ETH',
-      'binancecoin': 'BNB',
-      'solana': 'SOL'
-    };
-
-    const result = {};
+    const response = await http.get('https://api.coingecko.com/api/v3/search', {
+      params: { query: symbol },
+      timeout: 10000
+    });
     
-    // Fetch all tokens using their symbols
-    for (const [tokenKey, symbol] of Object.entries(tokenSymbols)) {
-      try {
-        const response = await axios.get(`https://api.freecryptoapi.com/v1/getData`, {
-          params: {
-            symbol: symbol
-          },
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Accept': 'application/json'
-          },
-          timeout: 10000
-        });
-
-        // FreeCryptoAPI returns: {"status":"success","symbols":[{"symbol":"SOL","last":"158.35","daily_change_percentage":"3.18",...}]}
-        if (response.data && response.data.status === 'success' && response.data.symbols && response.data.symbols.length > 0) {
-          const symbolData = response.data.symbols[0]; // Get first symbol from array
-          
-          if (symbolData && symbolData.last) {
-            const price = parseFloat(symbolData.last);
-            const change24h = parseFloat(symbolData.daily_change_percentage || 0);
-            
-            if (TOKENS[tokenKey]) {
-              result[tokenKey] = {
-                usd: price,
-                usd_24h_change: change24h
-              };
-              console.log(`✅ Fetched ${symbol}: $${price.toFixed(2)} (${change24h >= 0 ? '+' : ''}${change24h.toFixed(2)}%)`);
-            }
-          } else {
-            console.warn(`FreeCryptoAPI: No price data for ${symbol}`);
-          }
-        } else {
-          console.warn(`FreeCryptoAPI: Unexpected response format for ${symbol}:`, JSON.stringify(response.data).substring(0, 200));
-        }
-        
-        // Small delay between requests
-        await new Promise(resolve => setTimeout(resolve, 200));
-      } catch (error) {
-        console.error(`FreeCryptoAPI: Failed to fetch ${symbol}:`, error.response?.status, error.response?.statusText, error.message);
-        if (error.response?.data) {
-          console.error(`Response data:`, JSON.stringify(error.response.data).substring(0, 200));
-        }
-      }
-    }
+    const matches = (response.data?.coins || [])
+      .filter(coin => (coin.symbol || '').toUpperCase() === symbol.toUpperCase());
+    if (matches.length === 0) return null;
     
-    // Return result only if we got at least one price
-    return Object.keys(result).length > 0 ? result : null;
+    // Several coins share tickers - prefer the one with the best market cap rank
+    matches.sort((a, b) => (a.market_cap_rank || Infinity) - (b.market_cap_rank || Infinity));
+    const coin = matches[0];
+    return { id: coin.id, symbol: coin.symbol.toUpperCase(), name: coin.name };
   } catch (error) {
-    console.error('FreeCryptoAPI error:', error.message);
+    console.error(`CoinGecko search failed for ${symbol}:`, error.message);
     return null;
   }
 }
 
+// Drop cached main token prices (e.g. after a new coin was registered)
+function clearPriceCache() {
+  delete priceCache['all_prices'];
+}
+
 // Fetch prices for all tokens - queries once per minute, uses cache for all requests
 async function getAllTokenPrices() {
   const cacheKey = 'all_prices';
@@ -405,15 +378,15 @@ async function getAllTokenPrices() {
   isFetching = true;
   fetchPromise = (async () => {
     try {
-      console.log('📡 Fetching prices from FreeCryptoAPI (once per minute)...');
-      const data = await fetchFromFreeCryptoAPI();
+      // Each entry records the provider that served it in data[id].source
+      const tokens = Object.values(TOKENS).map(tokenInfo => ({ id: tokenInfo.id, symbol: tokenInfo.symbol }));
+      const data = await fetchMainTokenPrices(tokens);
       
       if (data) {
         // Cache the results
         priceCache[cacheKey] = {
           data: data,
-          timestamp: Date.now(),
-          source: 'freecryptoapi'
+          timestamp: Date.now()
         };
         console.log('✅ Prices fetched and cached');
         return data;
@@ -460,14 +433,15 @@ async function getTokenPrice(tokenId) {
   return {
     price: price.toFixed(2),
     change24h: change24h ? change24h.toFixed(2) : '0.00',
-    emoji: change24h >= 0 ? '📈' : '📉'
+    emoji: change24h >= 0 ? '📈' : '📉',
+    source: data.source
   };
 }
 
 // Check DexScreener orders/boosts for a Solana token
 async function checkDexScreenerBoosts(tokenAddress) {
   try {
-    const response = await axios.get(
+    const response = await http.get(
       `https://api.dexscreener.com/orders/v1/solana/${tokenAddress}`,
       {
         timeout: 10000,
@@ -504,9 +478,12 @@ async function checkDexScreenerBoosts(tokenAddress) {
 
 module.exports = {
   getSolanaTokenPrice,
+  getSolanaTokenPrices,
   getSolanaTokenInfo,
   getAllTokenPrices,
   getTokenPrice,
-  checkDexScreenerBoosts
+  checkDexScreenerBoosts,
+  searchCoinBySymbol,
+  clearPriceCache
 };
 
@@ -46,6 +46,19 @@ async function initDatabase() {
         tokens TEXT DEFAULT '[]',
         custom_tokens TEXT DEFAULT '[]',
         tracked_kols TEXT DEFAULT '[]',
+        drop_thresholds TEXT DEFAULT '{}',
+        rise_thresholds TEXT DEFAULT '{}',
+        timezone TEXT,
+        quiet_hours TEXT,
+        update_mode TEXT DEFAULT 'separate',
+        live_board TEXT,
+        plan TEXT DEFAULT 'free',
+        quota_overrides TEXT DEFAULT '{}',
+        delivery_health TEXT,
+        kol_buy_hold_seconds INTEGER,
+        kol_alert_sources TEXT,
+        kol_filters TEXT,
+        wallet_labels TEXT DEFAULT '{}',
         interval_minutes INTEGER DEFAULT 1,
         created_at BIGINT,
         updated_at BIGINT
@@ -61,6 +74,105 @@ async function initDatabase() {
       // Column might already exist, ignore error
     }
     
+    // Add drop_thresholds column if it doesn't exist (for existing databases)
+    try {
+      await pool.query(`
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS drop_thresholds TEXT DEFAULT '{}'
+      `);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+    
+    // Add rise_thresholds column if it doesn't exist (for existing databases)
+    try {
+      await pool.query(`
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS rise_thresholds TEXT DEFAULT '{}'
+      `);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+    
+    // Add timezone / quiet_hours columns if they don't exist (for existing databases)
+    try {
+      await pool.query(`
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone TEXT
+      `);
+      await pool.query(`
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS quiet_hours TEXT
+      `);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+    
+    // Add update_mode / live_board columns if they don't exist (for existing databases)
+    try {
+      await pool.query(`
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS update_mode TEXT DEFAULT 'separate'
+      `);
+      await pool.query(`
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS live_board TEXT
+      `);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+    
+    // Add plan / quota_overrides columns if they don't exist (for existing databases)
+    try {
+      await pool.query(`
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS plan TEXT DEFAULT 'free'
+      `);
+      await pool.query(`
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS quota_overrides TEXT DEFAULT '{}'
+      `);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+    
+    // Add delivery_health column if it doesn't exist (for existing databases)
+    try {
+      await pool.query(`
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS delivery_health TEXT
+      `);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+    
+    // Add kol_buy_hold_seconds column if it doesn't exist (for existing databases)
+    try {
+      await pool.query(`
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS kol_buy_hold_seconds INTEGER
+      `);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+    
+    // Add kol_alert_sources column if it doesn't exist (for existing databases)
+    try {
+      await pool.query(`
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS kol_alert_sources TEXT
+      `);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+    
+    // Add kol_filters column if it doesn't exist (for existing databases)
+    try {
+      await pool.query(`
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS kol_filters TEXT
+      `);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+    
+    // Add wallet_labels column if it doesn't exist (for existing databases)
+    try {
+      await pool.query(`
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS wallet_labels TEXT DEFAULT '{}'
+      `);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+    
     // Create price_history table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS price_history (
@@ -106,6 +218,22 @@ async function initDatabase() {
       )
     `);
     
+    // Create kol_processed_signatures table so a restart doesn't reprocess (and double-count) transactions
+    // already handled by the webhook, stream or polling path
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS kol_processed_signatures (
+        signature TEXT,
+        kol_address TEXT,
+        processed_at BIGINT,
+        PRIMARY KEY (signature, kol_address)
+      )
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_kol_processed_signatures_processed_at 
+      ON kol_processed_signatures(processed_at)
+    `);
+    
     // Create kol_transactions table to track all transactions for pattern analysis
     await pool.query(`
       CREATE TABLE IF NOT EXISTS kol_transactions (
@@ -117,6 +245,8 @@ async function initDatabase() {
         sol_amount REAL,
         token_price REAL,
         market_cap REAL, -- Market cap at time of transaction
+        venue TEXT, -- DEX the swap executed on, e.g. 'pumpfun', 'jupiter'
+        route TEXT, -- JSON array of underlying venues (aggregator hops)
         timestamp BIGINT,
         created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000
       )
@@ -131,6 +261,18 @@ async function initDatabase() {
       // Column might already exist, ignore error
     }
     
+    // Add venue/route columns if they don't exist (for existing databases)
+    try {
+      await pool.query(`
+        ALTER TABLE kol_transactions ADD COLUMN IF NOT EXISTS venue TEXT
+      `);
+      await pool.query(`
+        ALTER TABLE kol_transactions ADD COLUMN IF NOT EXISTS route TEXT
+      `);
+    } catch (error) {
+      // Columns might already exist, ignore error
+    }
+    
     // Create index for faster pattern queries
     await pool.query(`
       CREATE INDEX IF NOT EXISTS idx_kol_transactions_kol_token 
@@ -286,6 +428,103 @@ async function initDatabase() {
       ON kol_leaderboard(period_type, snapshot_date DESC, rank)
     `);
     
+    // Create price_targets table for absolute price / market cap target alerts
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS price_targets (
+        id SERIAL PRIMARY KEY,
+        chat_id TEXT NOT NULL,
+        token_key TEXT NOT NULL, -- TOKENS key for main tokens, mint address for Solana tokens
+        token_type TEXT NOT NULL, -- 'main' or 'solana'
+        symbol TEXT,
+        metric TEXT NOT NULL, -- 'price' or 'mcap'
+        direction TEXT NOT NULL, -- 'above' or 'below'
+        target REAL NOT NULL,
+        rearm BOOLEAN DEFAULT false,
+        armed BOOLEAN DEFAULT true,
+        last_triggered_at BIGINT,
+        created_at BIGINT
+      )
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_price_targets_chat 
+      ON price_targets(chat_id)
+    `);
+    
+    // Create alert_state table for alert cooldowns / de-duplication
+    // One row per (chat, token, alert type)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS alert_state (
+        chat_id TEXT NOT NULL,
+        token_key TEXT NOT NULL,
+        alert_type TEXT NOT NULL, -- 'drop', 'rise', 'boost', 'kol_buy', 'kol_sell'
+        active BOOLEAN DEFAULT true,
+        last_alert_at BIGINT,
+        alert_value REAL, -- price when the last alert was sent
+        reference_value REAL, -- price before the move (used to detect recovery)
+        alert_count INTEGER DEFAULT 0,
+        PRIMARY KEY (chat_id, token_key, alert_type)
+      )
+    `);
+    
+    // Create registered_tokens table for main tokens added at runtime with /addcoin
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS registered_tokens (
+        token_key TEXT PRIMARY KEY, -- CoinGecko id, also used as the TOKENS key
+        symbol TEXT NOT NULL,
+        name TEXT,
+        added_by TEXT,
+        created_at BIGINT
+      )
+    `);
+    
+    // Create digest_queue table for non-critical alerts held back during quiet hours
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS digest_queue (
+        id SERIAL PRIMARY KEY,
+        chat_id TEXT NOT NULL,
+        alert_type TEXT NOT NULL, -- 'rise', 'resolved', 'boost', 'kol_buy', 'kol_sell'
+        summary TEXT NOT NULL, -- one-line summary shown in the morning digest
+        created_at BIGINT
+      )
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_digest_queue_chat ON digest_queue(chat_id)
+    `);
+    
+    // Create pending_kol_alerts table for KOL buy alerts waiting out the user's hold window
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS pending_kol_alerts (
+        id SERIAL PRIMARY KEY,
+        chat_id TEXT NOT NULL,
+        kol_address TEXT NOT NULL,
+        token_mint TEXT NOT NULL,
+        buy_timestamp BIGINT NOT NULL, -- when the buy happened (ms)
+        hold_seconds INTEGER NOT NULL, -- sells within this window after the buy are folded into the alert
+        due_at BIGINT NOT NULL, -- buy_timestamp + hold (ms)
+        message TEXT NOT NULL, -- rendered HTML alert
+        summary TEXT NOT NULL, -- one-line summary for the quiet hours digest
+        image_url TEXT,
+        signatures TEXT DEFAULT '[]', -- JSON array of the buy's transaction signatures
+        kol_count INTEGER DEFAULT 0, -- KOLs in the token when queued (multi-KOL convergence)
+        good_token BOOLEAN DEFAULT false, -- token matched the good token pattern when queued
+        created_at BIGINT
+      )
+    `);
+    
+    // Add alert source columns if they don't exist (for existing databases)
+    try {
+      await pool.query(`ALTER TABLE pending_kol_alerts ADD COLUMN IF NOT EXISTS kol_count INTEGER DEFAULT 0`);
+      await pool.query(`ALTER TABLE pending_kol_alerts ADD COLUMN IF NOT EXISTS good_token BOOLEAN DEFAULT false`);
+    } catch (error) {
+      // Columns might already exist, ignore error
+    }
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_pending_kol_alerts_due ON pending_kol_alerts(due_at)
+    `);
+    
     // Verify tables were created
     const tablesResult = await pool.query(`
       SELECT table_name 
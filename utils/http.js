@@ -0,0 +1,180 @@
+const axios = require('axios');
+const {
+  HOST_RATE_LIMITS,
+  DEFAULT_HOST_RATE_LIMIT,
+  HTTP_MAX_RETRIES,
+  HTTP_BACKOFF_BASE_MS,
+  HTTP_BACKOFF_MAX_MS,
+  CIRCUIT_FAILURE_THRESHOLD,
+  CIRCUIT_OPEN_SECONDS
+} = require('../config/http');
+
+// Shared client for third-party APIs: per-host token buckets, retries with backoff
+// and a circuit breaker per host. get/post mirror axios and return the axios response;
+// errors are the axios error (error.response?.status etc.) or a CIRCUIT_OPEN error.
+
+// Per-host state (in memory, resets on restart)
+const hosts = {};
+
+function getHost(hostname) {
+  if (!hosts[hostname]) {
+    const limit = HOST_RATE_LIMITS[hostname] || DEFAULT_HOST_RATE_LIMIT;
+    hosts[hostname] = {
+      limit,
+      tokens: limit.burst,
+      lastRefill: Date.now(),
+      queue: Promise.resolve(),
+      circuit: 'closed', // closed, open or half-open
+      openedAt: null,
+      consecutiveFailures: 0,
+      stats: { requests: 0, successes: 0, failures: 0, retries: 0, rateLimited: 0, rejected: 0 }
+    };
+  }
+  return hosts[hostname];
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Wait for a token from the host's bucket (callers queue in order)
+function acquireToken(host) {
+  const turn = host.queue.then(async () => {
+    const now = Date.now();
+    host.tokens = Math.min(host.limit.burst, host.tokens + ((now - host.lastRefill) / 1000) * host.limit.ratePerSecond);
+    host.lastRefill = now;
+    
+    if (host.tokens < 1) {
+      await sleep(((1 - host.tokens) / host.limit.ratePerSecond) * 1000);
+      host.tokens = 1;
+      host.lastRefill = Date.now();
+    }
+    host.tokens -= 1;
+  });
+  host.queue = turn.catch(() => {});
+  return turn;
+}
+
+// 429, 5xx and network errors are worth retrying, other 4xx are the caller's problem
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (!status) return true;
+  return status === 429 || status >= 500;
+}
+
+// Retry-After is either seconds or an HTTP date
+function getRetryAfterMs(error) {
+  const header = error.response?.headers?.['retry-after'];
+  if (!header) return null;
+  
+  const seconds = parseFloat(header);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function getBackoffMs(error, attempt) {
+  const retryAfter = getRetryAfterMs(error);
+  if (retryAfter !== null) return Math.min(retryAfter, HTTP_BACKOFF_MAX_MS);
+  // Exponential with a little jitter so parallel callers don't retry in lockstep
+  const backoff = HTTP_BACKOFF_BASE_MS * Math.pow(2, attempt);
+  return Math.min(backoff + Math.random() * HTTP_BACKOFF_BASE_MS, HTTP_BACKOFF_MAX_MS);
+}
+
+// Check the breaker before a request - throws if the circuit is open
+function checkCircuit(hostname, host) {
+  if (host.circuit === 'closed') return;
+  
+  if (host.circuit === 'open' && Date.now() - host.openedAt >= CIRCUIT_OPEN_SECONDS * 1000) {
+    // Let a single trial request through - the rest are rejected with CIRCUIT_OPEN until it succeeds
+    host.circuit = 'half-open';
+    return;
+  }
+  
+  host.stats.rejected++;
+  const error = new Error(`Circuit open for ${hostname}`);
+  error.code = 'CIRCUIT_OPEN';
+  throw error;
+}
+
+function recordHostSuccess(host) {
+  host.stats.successes++;
+  host.consecutiveFailures = 0;
+  host.circuit = 'closed';
+  host.openedAt = null;
+}
+
+function recordHostFailure(hostname, host, error) {
+  host.stats.failures++;
+  // Plain 4xx (404 for an unknown token etc.) means the host is up and answering
+  if (!isRetryable(error)) {
+    host.consecutiveFailures = 0;
+    host.circuit = 'closed';
+    host.openedAt = null;
+    return;
+  }
+  
+  host.consecutiveFailures++;
+  if (host.circuit === 'half-open' || host.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD) {
+    if (host.circuit !== 'open') {
+      console.warn(`🔌 Circuit opened for ${hostname} for ${CIRCUIT_OPEN_SECONDS}s after ${host.consecutiveFailures} failures (${error.response?.status || error.message})`);
+    }
+    host.circuit = 'open';
+    host.openedAt = Date.now();
+  }
+}
+
+// Send a request through the limiter, retrying transient failures
+async function request(config) {
+  const hostname = new URL(config.url).hostname;
+  const host = getHost(hostname);
+  
+  for (let attempt = 0; ; attempt++) {
+    checkCircuit(hostname, host);
+    await acquireToken(host);
+    host.stats.requests++;
+    
+    try {
+      const response = await axios.request(config);
+      recordHostSuccess(host);
+      return response;
+    } catch (error) {
+      if (error.response?.status === 429) host.stats.rateLimited++;
+      
+      if (!isRetryable(error) || attempt >= HTTP_MAX_RETRIES || host.circuit === 'half-open') {
+        recordHostFailure(hostname, host, error);
+        throw error;
+      }
+      
+      host.stats.retries++;
+      const delay = getBackoffMs(error, attempt);
+      console.warn(`🔁 ${hostname} ${error.response?.status || error.code || error.message}, retry ${attempt + 1}/${HTTP_MAX_RETRIES} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+async function get(url, config = {}) {
+  return request({ ...config, method: 'get', url });
+}
+
+async function post(url, data, config = {}) {
+  return request({ ...config, method: 'post', url, data });
+}
+
+// Counters per host for /admin, busiest first
+function getHttpStats() {
+  return Object.entries(hosts)
+    .map(([hostname, host]) => ({
+      host: hostname,
+      circuit: host.circuit,
+      ...host.stats
+    }))
+    .sort((a, b) => b.requests - a.requests);
+}
+
+module.exports = {
+  get,
+  post,
+  getHttpStats
+};
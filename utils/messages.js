@@ -1,58 +1,182 @@
+const { getDisplayTimes } = require('./time');
+const { getProviderLabel } = require('./priceProviders');
+
+// Suffix naming the provider that served a price (e.g. " · via CoinGecko"), empty if unknown
+function formatSource(priceData) {
+  return priceData && priceData.source ? ` · via ${getProviderLabel(priceData.source)}` : '';
+}
+
 // Format price message
-function formatPriceMessage(token, priceData) {
+function formatPriceMessage(token, priceData, timezone = null) {
   const tokenInfo = token; // token can be either TOKENS[key] or custom token object
   const change24h = parseFloat(priceData.change24h);
   const directionEmoji = change24h >= 0 ? '🟢' : '🔴'; // Green up or Red down
   const arrowEmoji = change24h >= 0 ? '📈' : '📉';
   
-  const now = new Date();
-  // Athens timezone (UTC+2 or UTC+3 with DST)
-  const athensTime = new Intl.DateTimeFormat('en-US', {
-    timeZone: 'Europe/Athens',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  }).format(now);
-  const utcTime = now.toUTCString().split(' ')[4]; // Extract time from UTC string
+  const { localTime, utcTime } = getDisplayTimes(timezone);
   
   return `${directionEmoji} *$${(tokenInfo.symbol || '').toUpperCase()} @ $${priceData.price}*
 
 ${arrowEmoji} 24h: ${change24h >= 0 ? '+' : ''}${priceData.change24h}%
 
-_Updated at: Local ${athensTime} (UTC: ${utcTime})_`;
+_Updated at: Local ${localTime} (UTC: ${utcTime})${formatSource(priceData)}_`;
 }
 
 // Format alert message for price drops
-function formatAlertMessage(token, priceData, dropPercentage, previousPrice) {
+// threshold is the user's configured drop % that triggered the alert,
+// windowLabel the alert window it dropped over (e.g. "15m")
+function formatAlertMessage(token, priceData, dropPercentage, previousPrice, threshold = 5, windowLabel = null, timezone = null) {
   const tokenInfo = token;
   const change24h = parseFloat(priceData.change24h);
   const arrowEmoji = change24h >= 0 ? '📈' : '📉';
   
-  const now = new Date();
-  // Athens timezone (UTC+2 or UTC+3 with DST)
-  const athensTime = new Intl.DateTimeFormat('en-US', {
-    timeZone: 'Europe/Athens',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  }).format(now);
-  const utcTime = now.toUTCString().split(' ')[4]; // Extract time from UTC string
+  const { localTime, utcTime } = getDisplayTimes(timezone);
   
   return `🚨 *PRICE ALERT - $${(tokenInfo.symbol || '').toUpperCase()}*
 
-⚠️ *5%+ Drop Detected!*
+⚠️ *${threshold}%+ Drop Detected!*
 
 🔴 *$${(tokenInfo.symbol || '').toUpperCase()} @ $${priceData.price}* (was $${previousPrice})
-📉 *Drop: -${dropPercentage.toFixed(2)}%*
+📉 *Drop: -${dropPercentage.toFixed(2)}%${windowLabel ? ` in ${windowLabel}` : ''}*
 ${arrowEmoji} 24h: ${change24h >= 0 ? '+' : ''}${priceData.change24h}%
 
-_Alert at: Local ${athensTime} (UTC: ${utcTime})_`;
+_Alert at: Local ${localTime} (UTC: ${utcTime})${formatSource(priceData)}_`;
+}
+
+// Format the links block shown under Solana token alerts
+function formatSolanaLinks(address) {
+  return `\n🔗 *Links:*\n` +
+    `[GMGN](https://gmgn.ai/sol/token/${address}) | ` +
+    `[Axiom](https://axiom.trade/meme/${address}?chain=sol) | ` +
+    `[Padre](https://trade.padre.gg/trade/solana/${address}) | ` +
+    `[DexScreener](https://dexscreener.com/solana/${address})`;
+}
+
+// Format alert message for price rises
+// threshold is the user's configured rise % that triggered the alert,
+// windowLabel the alert window it rose over (e.g. "15m")
+// For Solana tokens pass the mint address (adds the links block) and a formatted market cap
+function formatRiseAlertMessage(token, priceData, risePercentage, previousPrice, threshold = 5, windowLabel = null, address = null, mcapText = null, timezone = null) {
+  const tokenInfo = token;
+  const symbolUpper = (tokenInfo.symbol || '').toUpperCase();
+  const change24h = parseFloat(priceData.change24h);
+  const arrowEmoji = change24h >= 0 ? '📈' : '📉';
+  
+  const { localTime, utcTime } = getDisplayTimes(timezone);
+  
+  let message = `🚀 *PUMP ALERT - $${symbolUpper}${mcapText ? ` @ ${mcapText}` : ''}*
+
+📈 *${threshold}%+ Rise Detected!*
+
+🟢 *$${symbolUpper} @ $${priceData.price}* (was $${previousPrice})
+🚀 *Rise: +${risePercentage.toFixed(2)}%${windowLabel ? ` in ${windowLabel}` : ''}*
+${arrowEmoji} 24h: ${change24h >= 0 ? '+' : ''}${priceData.change24h}%
+`;
+  
+  if (address) {
+    message += formatSolanaLinks(address) + '\n';
+  }
+  
+  message += `\n_Alert at: Local ${localTime} (UTC: ${utcTime})${formatSource(priceData)}_`;
+  return message;
+}
+
+// Format the "resolved" message sent when the price recovers from an earlier drop alert
+// state is the alert state (referenceValue = pre-drop price, alertValue = price at the last alert)
+function formatResolvedAlertMessage(token, priceData, state, address = null, timezone = null) {
+  const tokenInfo = token;
+  const symbolUpper = (tokenInfo.symbol || '').toUpperCase();
+  const change24h = parseFloat(priceData.change24h);
+  const arrowEmoji = change24h >= 0 ? '📈' : '📉';
+  const decimals = priceData.price.includes('.') ? priceData.price.split('.')[1].length : 2;
+  const alertCount = state.alertCount || 1;
+  
+  const { localTime, utcTime } = getDisplayTimes(timezone);
+  
+  let message = `✅ *RECOVERED - $${symbolUpper}*
+
+🟢 *$${symbolUpper} @ $${priceData.price}* (pre-drop $${parseFloat(state.referenceValue).toFixed(decimals)})
+📉 Last drop alert at $${parseFloat(state.alertValue).toFixed(decimals)} (${alertCount} alert${alertCount > 1 ? 's' : ''})
+${arrowEmoji} 24h: ${change24h >= 0 ? '+' : ''}${priceData.change24h}%
+`;
+  
+  if (address) {
+    message += formatSolanaLinks(address) + '\n';
+  }
+  
+  message += `\n_Resolved at: Local ${localTime} (UTC: ${utcTime})${formatSource(priceData)}_`;
+  return message;
+}
+
+// Format alert message for a price / market cap target being hit
+// currentText and targetText are already formatted values (e.g. "$251.20", "$1.05M")
+// For Solana tokens pass the mint address to add the links block
+function formatTargetAlertMessage(token, priceData, target, currentText, targetText, address = null, timezone = null) {
+  const tokenInfo = token;
+  const symbolUpper = (tokenInfo.symbol || '').toUpperCase();
+  const change24h = parseFloat(priceData.change24h);
+  const arrowEmoji = change24h >= 0 ? '📈' : '📉';
+  const isAbove = target.direction === 'above';
+  const metricLabel = target.metric === 'mcap' ? 'Market cap' : 'Price';
+  
+  const { localTime, utcTime } = getDisplayTimes(timezone);
+  
+  let message = `🎯 *TARGET HIT - $${symbolUpper}*
+
+${isAbove ? '📈' : '📉'} *${metricLabel} crossed ${target.direction} ${targetText}*
+
+${isAbove ? '🟢' : '🔴'} *$${symbolUpper} @ $${priceData.price}*${target.metric === 'mcap' ? ` (MC ${currentText})` : ''}
+${arrowEmoji} 24h: ${change24h >= 0 ? '+' : ''}${priceData.change24h}%
+`;
+  
+  if (address) {
+    message += formatSolanaLinks(address) + '\n';
+  }
+  
+  message += target.rearm
+    ? `\n🔁 _Re-arms once ${metricLabel.toLowerCase()} goes back ${isAbove ? 'below' : 'above'} ${targetText}_`
+    : `\n✅ _One-shot target, now removed_`;
+  message += `\n_Alert at: Local ${localTime} (UTC: ${utcTime})${formatSource(priceData)}_`;
+  return message;
+}
+
+// Format the consolidated update (one message for all of a user's tokens)
+// rows: [{ symbol, price, change24h, directionEmoji, mcapText, source }] - price/change24h are strings, null if unavailable
+function formatConsolidatedUpdate(rows, timezone = null, title = '📊 *Your Tokens*') {
+  const { localTime, utcTime } = getDisplayTimes(timezone);
+  const sources = [...new Set(rows.map(row => row.source).filter(Boolean))].map(getProviderLabel);
+  
+  const symbols = rows.map(row => `$${(row.symbol || '').toUpperCase().substring(0, 8)}`);
+  const prices = rows.map(row => row.price ? `$${row.price}` : 'n/a');
+  const symbolWidth = Math.max(...symbols.map(s => s.length));
+  const priceWidth = Math.max(...prices.map(p => p.length));
+  
+  const lines = rows.map((row, i) => {
+    let line = `${row.directionEmoji || '⚪'} ${symbols[i].padEnd(symbolWidth)}  ${prices[i].padEnd(priceWidth)}`;
+    if (row.change24h) {
+      const change = parseFloat(row.change24h);
+      line += `  ${change >= 0 ? '+' : ''}${row.change24h}%`;
+    }
+    if (row.mcapText) {
+      line += `  ${row.mcapText}`;
+    }
+    return line;
+  });
+  
+  return `${title}\n\n` +
+    `\`\`\`\n${lines.join('\n')}\n\`\`\`\n` +
+    `_Tap a token below for details_\n\n` +
+    `_Updated at: Local ${localTime} (UTC: ${utcTime})${sources.length > 0 ? ` · via ${sources.join(', ')}` : ''}_`;
 }
 
 module.exports = {
   formatPriceMessage,
-  formatAlertMessage
+  formatAlertMessage,
+  formatRiseAlertMessage,
+  formatTargetAlertMessage,
+  formatResolvedAlertMessage,
+  formatSolanaLinks,
+  formatSource,
+  formatConsolidatedUpdate
 };
 
@@ -0,0 +1,344 @@
+const http = require('./http');
+const { MAIN_PRICE_PROVIDERS, SOLANA_PRICE_PROVIDERS, PROVIDER_FAILURE_THRESHOLD, PROVIDER_COOLDOWN_MINUTES } = require('../config/providers');
+
+// Main token providers: fetchPrices(tokens) takes [{ id, symbol }] and returns
+// { [id]: { usd, usd_24h_change } } for the tokens it could price (missing ones are tried elsewhere)
+// Solana providers: fetchPrices(addresses) takes up to batchSize mints and returns
+// { [address]: { price, change24h } } (numbers) for the mints it could price
+
+// FreeCryptoAPI - one request per symbol, needs FREECRYPTOAPI_KEY
+async function fetchFreeCryptoAPISymbol(symbol) {
+  const response = await http.get(`https://api.freecryptoapi.com/v1/getData`, {
+    params: {
+      symbol: symbol
+    },
+    headers: {
+      'Authorization': `Bearer ${process.env.FREECRYPTOAPI_KEY}`,
+      'Accept': 'application/json'
+    },
+    timeout: 10000
+  });
+
+  // FreeCryptoAPI returns: {"status":"success","symbols":[{"symbol":"SOL","last":"158.35","daily_change_percentage":"3.18",...}]}
+  const symbolData = response.data?.status === 'success' ? response.data.symbols?.[0] : null;
+  if (!symbolData || !symbolData.last) {
+    console.warn(`FreeCryptoAPI: No price data for ${symbol}`);
+    return null;
+  }
+  return {
+    usd: parseFloat(symbolData.last),
+    usd_24h_change: parseFloat(symbolData.daily_change_percentage || 0)
+  };
+}
+
+const freeCryptoAPI = {
+  name: 'freecryptoapi',
+  label: 'FreeCryptoAPI',
+  isConfigured: () => !!process.env.FREECRYPTOAPI_KEY,
+  async fetchPrices(tokens) {
+    const result = {};
+    let lastError = null;
+    for (const token of tokens) {
+      try {
+        const data = await fetchFreeCryptoAPISymbol(token.symbol.toUpperCase());
+        if (data) result[token.id] = data;
+      } catch (error) {
+        console.error(`FreeCryptoAPI: Failed to fetch ${token.symbol}:`, error.response?.status, error.message);
+        lastError = error;
+      }
+    }
+    // Every request failed - report it as a provider failure
+    if (Object.keys(result).length === 0 && lastError) throw lastError;
+    return result;
+  }
+};
+
+// CoinGecko - all coins in one request, keyed by CoinGecko id (same as our token ids)
+const coinGecko = {
+  name: 'coingecko',
+  label: 'CoinGecko',
+  isConfigured: () => true,
+  async fetchPrices(tokens) {
+    const response = await http.get('https://api.coingecko.com/api/v3/simple/price', {
+      params: {
+        ids: tokens.map(token => token.id).join(','),
+        vs_currencies: 'usd',
+        include_24hr_change: true
+      },
+      timeout: 10000
+    });
+    
+    const result = {};
+    for (const token of tokens) {
+      const data = response.data?.[token.id];
+      if (data && typeof data.usd === 'number') {
+        result[token.id] = { usd: data.usd, usd_24h_change: data.usd_24h_change || 0 };
+      }
+    }
+    return result;
+  }
+};
+
+// Binance public 24h ticker - one request per symbol (unknown pairs fail the whole batch)
+const binance = {
+  name: 'binance',
+  label: 'Binance',
+  isConfigured: () => true,
+  async fetchPrices(tokens) {
+    const result = {};
+    for (const token of tokens) {
+      try {
+        const response = await http.get('https://api.binance.com/api/v3/ticker/24hr', {
+          params: { symbol: `${token.symbol.toUpperCase()}USDT` },
+          timeout: 10000
+        });
+        if (response.data?.lastPrice) {
+          result[token.id] = {
+            usd: parseFloat(response.data.lastPrice),
+            usd_24h_change: parseFloat(response.data.priceChangePercent || 0)
+          };
+        }
+      } catch (error) {
+        // 400 = no USDT pair for this symbol, let the next provider handle it
+        if (error.response?.status !== 400) throw error;
+      }
+    }
+    return result;
+  }
+};
+
+// GeckoTerminal simple token price - up to 30 comma-separated addresses per request
+const geckoTerminal = {
+  name: 'geckoterminal',
+  label: 'GeckoTerminal',
+  batchSize: 30,
+  isConfigured: () => true,
+  async fetchPrices(addresses) {
+    const response = await http.get(
+      `https://api.geckoterminal.com/api/v2/simple/networks/solana/token_price/${addresses.join(',')}`,
+      {
+        params: { include_24hr_price_change: true },
+        headers: {
+          'Accept': 'application/json;version=20230203'
+        },
+        timeout: 10000
+      }
+    );
+    
+    const data = response.data?.data?.attributes;
+    const result = {};
+    for (const address of addresses) {
+      // GeckoTerminal may return addresses lowercased
+      const price = data?.token_prices?.[address] ?? data?.token_prices?.[address.toLowerCase()];
+      if (!price) continue;
+      const change24h = data.h24_price_change_percentage?.[address] ?? data.h24_price_change_percentage?.[address.toLowerCase()];
+      result[address] = {
+        price: parseFloat(price),
+        change24h: parseFloat(change24h || 0)
+      };
+    }
+    return result;
+  }
+};
+
+// DexScreener - up to 30 comma-separated addresses, uses the most liquid pair per token
+const dexScreener = {
+  name: 'dexscreener',
+  label: 'DexScreener',
+  batchSize: 30,
+  isConfigured: () => true,
+  async fetchPrices(addresses) {
+    const response = await http.get(`https://api.dexscreener.com/latest/dex/tokens/${addresses.join(',')}`, {
+      timeout: 10000
+    });
+    
+    const bestPairs = {};
+    for (const pair of response.data?.pairs || []) {
+      const address = pair.baseToken?.address;
+      if (pair.chainId !== 'solana' || !addresses.includes(address) || !pair.priceUsd) continue;
+      if (!bestPairs[address] || (pair.liquidity?.usd || 0) > (bestPairs[address].liquidity?.usd || 0)) {
+        bestPairs[address] = pair;
+      }
+    }
+    
+    const result = {};
+    for (const [address, pair] of Object.entries(bestPairs)) {
+      result[address] = {
+        price: parseFloat(pair.priceUsd),
+        change24h: parseFloat(pair.priceChange?.h24 || 0)
+      };
+    }
+    return result;
+  }
+};
+
+// Jupiter price API - up to 50 comma-separated ids per request
+const jupiter = {
+  name: 'jupiter',
+  label: 'Jupiter',
+  batchSize: 50,
+  isConfigured: () => true,
+  async fetchPrices(addresses) {
+    const response = await http.get('https://lite-api.jup.ag/price/v3', {
+      params: { ids: addresses.join(',') },
+      timeout: 10000
+    });
+    
+    const result = {};
+    for (const address of addresses) {
+      const data = response.data?.[address];
+      if (!data || !data.usdPrice) continue;
+      result[address] = {
+        price: parseFloat(data.usdPrice),
+        change24h: parseFloat(data.priceChange24h || 0)
+      };
+    }
+    return result;
+  }
+};
+
+const PROVIDERS = {
+  freecryptoapi: freeCryptoAPI,
+  coingecko: coinGecko,
+  binance,
+  geckoterminal: geckoTerminal,
+  dexscreener: dexScreener,
+  jupiter
+};
+
+// Health per provider (in memory, resets on restart)
+const providerHealth = {};
+
+function getHealth(name) {
+  if (!providerHealth[name]) {
+    providerHealth[name] = {
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      lastSuccessAt: null,
+      lastError: null,
+      pausedUntil: null
+    };
+  }
+  return providerHealth[name];
+}
+
+function recordSuccess(name) {
+  const health = getHealth(name);
+  health.successes++;
+  health.consecutiveFailures = 0;
+  health.lastSuccessAt = Date.now();
+  health.pausedUntil = null;
+}
+
+function recordFailure(name, error) {
+  const health = getHealth(name);
+  health.failures++;
+  health.consecutiveFailures++;
+  health.lastError = error.response?.status ? `HTTP ${error.response.status}` : error.message;
+  
+  if (health.consecutiveFailures >= PROVIDER_FAILURE_THRESHOLD) {
+    health.pausedUntil = Date.now() + PROVIDER_COOLDOWN_MINUTES * 60 * 1000;
+    console.warn(`⏸️ Price provider ${name} paused for ${PROVIDER_COOLDOWN_MINUTES}m after ${health.consecutiveFailures} failures (${health.lastError})`);
+  }
+}
+
+// Ranked providers that are configured and not paused
+// If every provider is paused, fall back to the full ranking rather than returning nothing
+function getActiveProviders(ranking) {
+  const configured = ranking.map(name => PROVIDERS[name]).filter(provider => provider && provider.isConfigured());
+  const active = configured.filter(provider => !(getHealth(provider.name).pausedUntil > Date.now()));
+  return active.length > 0 ? active : configured;
+}
+
+// Fetch main token prices, failing over down the provider ranking
+// tokens: [{ id, symbol }] - returns { [id]: { usd, usd_24h_change, source } } or null
+async function fetchMainTokenPrices(tokens) {
+  const result = {};
+  let missing = tokens;
+  
+  for (const provider of getActiveProviders(MAIN_PRICE_PROVIDERS)) {
+    if (missing.length === 0) break;
+    
+    try {
+      console.log(`📡 Fetching ${missing.length} main token price(s) from ${provider.label}...`);
+      const prices = await provider.fetchPrices(missing);
+      const found = Object.keys(prices);
+      
+      for (const id of found) {
+        result[id] = { ...prices[id], source: provider.name };
+      }
+      
+      // A provider that answered but priced nothing counts as a failure
+      if (found.length === 0) {
+        recordFailure(provider.name, new Error('No prices returned'));
+      } else {
+        recordSuccess(provider.name);
+      }
+      missing = missing.filter(token => !result[token.id]);
+    } catch (error) {
+      console.error(`❌ ${provider.label} price fetch failed:`, error.message);
+      recordFailure(provider.name, error);
+    }
+  }
+  
+  if (missing.length > 0) {
+    console.warn(`⚠️ No provider could price: ${missing.map(token => token.symbol).join(', ')}`);
+  }
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+// Fetch Solana token prices in batches, failing over down the provider ranking
+// Mints a provider doesn't know are retried with the next provider
+// Returns { [address]: { price, change24h, source } } for every mint that could be priced
+async function fetchSolanaTokenPrices(addresses) {
+  const result = {};
+  let missing = [...new Set(addresses)];
+  
+  for (const provider of getActiveProviders(SOLANA_PRICE_PROVIDERS)) {
+    if (missing.length === 0) break;
+    
+    for (let i = 0; i < missing.length; i += provider.batchSize) {
+      const batch = missing.slice(i, i + provider.batchSize);
+      try {
+        const prices = await provider.fetchPrices(batch);
+        for (const [address, data] of Object.entries(prices)) {
+          if (data.price > 0) result[address] = { ...data, source: provider.name };
+        }
+        // Unknown tokens on this provider aren't a provider failure
+        recordSuccess(provider.name);
+      } catch (error) {
+        console.error(`❌ ${provider.label} price fetch failed for ${batch.length} token(s):`, error.message);
+        recordFailure(provider.name, error);
+        // Stop hammering a provider that just got paused, the rest go to the next one
+        if (getHealth(provider.name).pausedUntil > Date.now()) break;
+      }
+    }
+    missing = missing.filter(address => !result[address]);
+  }
+  
+  return result;
+}
+
+// Display name for a provider key (e.g. 'coingecko' -> 'CoinGecko')
+function getProviderLabel(name) {
+  return PROVIDERS[name]?.label || name;
+}
+
+// Health snapshot for /admin, in ranking order
+function getProviderHealth() {
+  const names = [...new Set([...MAIN_PRICE_PROVIDERS, ...SOLANA_PRICE_PROVIDERS])].filter(name => PROVIDERS[name]);
+  return names.map(name => ({
+    name,
+    label: getProviderLabel(name),
+    configured: PROVIDERS[name].isConfigured(),
+    ...getHealth(name)
+  }));
+}
+
+module.exports = {
+  fetchMainTokenPrices,
+  fetchSolanaTokenPrices,
+  getProviderLabel,
+  getProviderHealth
+};
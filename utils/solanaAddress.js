@@ -0,0 +1,39 @@
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Decode a base58 string to bytes (null if it contains characters outside the alphabet)
+function decodeBase58(value) {
+  const bytes = [];
+  for (const char of value) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry === -1) return null;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  // Each leading '1' is a leading zero byte
+  for (const char of value) {
+    if (char !== '1') break;
+    bytes.push(0);
+  }
+  return bytes.reverse();
+}
+
+// Check that a string is a Solana public key: base58 that decodes to exactly 32 bytes
+// (the 32-44 character regex alone lets through strings that decode to other lengths)
+function isValidSolanaAddress(address) {
+  if (!address || typeof address !== 'string') return false;
+  if (address.length < 32 || address.length > 44) return false;
+  const bytes = decodeBase58(address);
+  return bytes !== null && bytes.length === 32;
+}
+
+module.exports = {
+  decodeBase58,
+  isValidSolanaAddress
+};
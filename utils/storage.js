@@ -1,5 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { ALERT_WINDOWS } = require('../config/tokens');
+const { KOL_ADDRESSES } = require('../config/kol');
 
 // Use Postgres (Neon) if DATABASE_URL is set, otherwise fall back to JSON
 let db = null;
@@ -51,6 +53,19 @@ async function loadUsers() {
           tokens: JSON.parse(row.tokens || '[]'),
           customTokens: JSON.parse(row.custom_tokens || '[]'),
           trackedKOLs: JSON.parse(row.tracked_kols || '[]'),
+          dropThresholds: JSON.parse(row.drop_thresholds || '{}'),
+          riseThresholds: JSON.parse(row.rise_thresholds || '{}'),
+          timezone: row.timezone || null,
+          quietHours: row.quiet_hours ? JSON.parse(row.quiet_hours) : null,
+          updateMode: row.update_mode || 'separate',
+          liveBoard: row.live_board ? JSON.parse(row.live_board) : null,
+          plan: row.plan || 'free',
+          quotaOverrides: JSON.parse(row.quota_overrides || '{}'),
+          deliveryHealth: row.delivery_health ? JSON.parse(row.delivery_health) : null,
+          kolBuyHoldSeconds: row.kol_buy_hold_seconds ?? null,
+          kolAlertSources: row.kol_alert_sources ? JSON.parse(row.kol_alert_sources) : null,
+          kolFilters: row.kol_filters ? JSON.parse(row.kol_filters) : null,
+          walletLabels: JSON.parse(row.wallet_labels || '{}'),
           interval: row.interval_minutes || 1,
           createdAt: row.created_at || Date.now()
         };
@@ -86,13 +101,26 @@ async function saveUsers(users) {
         
         for (const [chatId, user] of Object.entries(users)) {
           await client.query(`
-            INSERT INTO users (chat_id, subscribed, tokens, custom_tokens, tracked_kols, interval_minutes, created_at, updated_at)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            INSERT INTO users (chat_id, subscribed, tokens, custom_tokens, tracked_kols, drop_thresholds, rise_thresholds, timezone, quiet_hours, update_mode, live_board, plan, quota_overrides, delivery_health, kol_buy_hold_seconds, kol_alert_sources, kol_filters, wallet_labels, interval_minutes, created_at, updated_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
             ON CONFLICT(chat_id) DO UPDATE SET
               subscribed = EXCLUDED.subscribed,
               tokens = EXCLUDED.tokens,
               custom_tokens = EXCLUDED.custom_tokens,
               tracked_kols = EXCLUDED.tracked_kols,
+              drop_thresholds = EXCLUDED.drop_thresholds,
+              rise_thresholds = EXCLUDED.rise_thresholds,
+              timezone = EXCLUDED.timezone,
+              quiet_hours = EXCLUDED.quiet_hours,
+              update_mode = EXCLUDED.update_mode,
+              live_board = EXCLUDED.live_board,
+              plan = EXCLUDED.plan,
+              quota_overrides = EXCLUDED.quota_overrides,
+              delivery_health = EXCLUDED.delivery_health,
+              kol_buy_hold_seconds = EXCLUDED.kol_buy_hold_seconds,
+              kol_alert_sources = EXCLUDED.kol_alert_sources,
+              kol_filters = EXCLUDED.kol_filters,
+              wallet_labels = EXCLUDED.wallet_labels,
               interval_minutes = EXCLUDED.interval_minutes,
               updated_at = EXCLUDED.updated_at
           `, [
@@ -101,6 +129,19 @@ async function saveUsers(users) {
             JSON.stringify(user.tokens || []),
             JSON.stringify(user.customTokens || []),
             JSON.stringify(user.trackedKOLs || []),
+            JSON.stringify(user.dropThresholds || {}),
+            JSON.stringify(user.riseThresholds || {}),
+            user.timezone || null,
+            user.quietHours ? JSON.stringify(user.quietHours) : null,
+            user.updateMode || 'separate',
+            user.liveBoard ? JSON.stringify(user.liveBoard) : null,
+            user.plan || 'free',
+            JSON.stringify(user.quotaOverrides || {}),
+            user.deliveryHealth ? JSON.stringify(user.deliveryHealth) : null,
+            user.kolBuyHoldSeconds ?? null,
+            user.kolAlertSources ? JSON.stringify(user.kolAlertSources) : null,
+            user.kolFilters ? JSON.stringify(user.kolFilters) : null,
+            JSON.stringify(user.walletLabels || {}),
             user.interval || 1,
             user.createdAt || Date.now(),
             Date.now()
@@ -221,6 +262,43 @@ async function savePriceHistory(history) {
   }
 }
 
+// Keep enough price points to cover the longest alert window (plus some slack)
+const PRICE_HISTORY_MAX_AGE = (Math.max(...ALERT_WINDOWS.map(w => w.minutes)) + 15) * 60 * 1000;
+// Points recorded closer together than this replace the previous one
+// (price updates for several users and the alert check all record the same token)
+const PRICE_HISTORY_MIN_SPACING = 60 * 1000;
+
+// Record a price point in priceHistory[historyKey] (mutates priceHistory, caller saves it)
+function appendPriceHistory(priceHistory, historyKey, price, timestamp = Date.now()) {
+  if (!priceHistory[historyKey]) {
+    priceHistory[historyKey] = {
+      price: price,
+      timestamp: timestamp,
+      history: []
+    };
+  }
+  const entry = priceHistory[historyKey];
+  if (!entry.history) {
+    entry.history = [];
+  }
+  
+  const last = entry.history[entry.history.length - 1];
+  if (last && timestamp - last.timestamp < PRICE_HISTORY_MIN_SPACING) {
+    // Keep the older timestamp so points stay roughly evenly spaced
+    last.price = price;
+  } else {
+    entry.history.push({ price, timestamp });
+  }
+  
+  // Drop points older than the longest window
+  entry.history = entry.history.filter(point => timestamp - point.timestamp <= PRICE_HISTORY_MAX_AGE);
+  
+  // Update latest price
+  entry.price = price;
+  entry.timestamp = timestamp;
+  return entry;
+}
+
 // Get user count
 async function getUserCount() {
   const users = await loadUsers();
@@ -249,6 +327,19 @@ async function getUserPreferences(chatId) {
       tokens: [],
       customTokens: [], // Custom Solana tokens with addresses
       trackedKOLs: [], // Tracked KOL addresses
+      dropThresholds: {}, // Per-token drop alert % (token key or Solana address -> percent)
+      riseThresholds: {}, // Per-token rise alert % (token key or Solana address -> percent)
+      timezone: null, // IANA timezone for displayed times (null = DEFAULT_TIMEZONE)
+      quietHours: null, // { start, end } in minutes after local midnight, null = off
+      updateMode: 'separate', // 'separate' (message per token), 'digest' (one message per tick) or 'live' (edited pinned message)
+      liveBoard: null, // { messageId, createdAt } of the pinned live board message
+      plan: 'free', // Plan key from config/plans.js
+      quotaOverrides: {}, // Per-user quota overrides set by the admin (quota key -> limit)
+      deliveryHealth: null, // { status, lastError, lastErrorAt, badRequests } from failed sends, null = healthy
+      kolBuyHoldSeconds: null, // Seconds a KOL buy alert waits for a quick sell before it's sent (null = DEFAULT_KOL_BUY_HOLD_SECONDS)
+      kolAlertSources: null, // { trackedKols, heldTokens, convergence, goodToken } on/off, null = all on (see KOL_ALERT_SOURCES)
+      kolFilters: null, // { global, kols: { [kolAddress]: filters } } KOL alert filters, null = DEFAULT_KOL_FILTERS
+      walletLabels: {}, // Private labels for wallets tracked with /trackwallet (address -> label)
       interval: 1, // default 1 minute
       createdAt: Date.now()
     };
@@ -265,6 +356,16 @@ async function getUserPreferences(chatId) {
     users[chatId].trackedKOLs = [];
     await saveUsers(users);
   }
+  // Ensure dropThresholds exists for existing users
+  if (!users[chatId].dropThresholds) {
+    users[chatId].dropThresholds = {};
+    await saveUsers(users);
+  }
+  // Ensure riseThresholds exists for existing users
+  if (!users[chatId].riseThresholds) {
+    users[chatId].riseThresholds = {};
+    await saveUsers(users);
+  }
   
   // Debug: Log what we're loading
   console.log(`Loading preferences for user ${chatId}:`, {
@@ -553,6 +654,115 @@ async function markTransactionAsAlerted(signature, kolAddress, tokenMint) {
   }
 }
 
+// Processed KOL signatures file (fallback) - { "<kol address>:<signature>": processedAt }
+const KOL_PROCESSED_SIGNATURES_FILE = path.join(__dirname, '..', 'kol_processed_signatures.json');
+
+async function readProcessedKOLSignaturesFile() {
+  try {
+    return JSON.parse(await fs.readFile(KOL_PROCESSED_SIGNATURES_FILE, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+// Which of a KOL's signatures have already been applied (balances updated) by any ingestion path
+// Returns a Set of the processed ones
+async function getProcessedKOLSignatures(kolAddress, signatures) {
+  if (signatures.length === 0) return new Set();
+  await ensureDatabaseInitialized();
+  if (db) {
+    try {
+      const { getDatabase } = require('./database');
+      const pool = await getDatabase();
+      if (!pool) throw new Error('Database not initialized');
+      
+      const result = await pool.query(
+        'SELECT signature FROM kol_processed_signatures WHERE kol_address = $1 AND signature = ANY($2)',
+        [kolAddress, signatures]
+      );
+      return new Set(result.rows.map(row => row.signature));
+    } catch (error) {
+      console.error('Error checking processed KOL signatures:', error.message);
+      return new Set();
+    }
+  }
+  
+  // Fallback to JSON
+  const processed = await readProcessedKOLSignaturesFile();
+  return new Set(signatures.filter(signature => processed[`${kolAddress}:${signature}`]));
+}
+
+// Mark a batch of a KOL's signatures as processed
+async function markKOLSignaturesProcessed(kolAddress, signatures) {
+  if (signatures.length === 0) return;
+  await ensureDatabaseInitialized();
+  const now = Date.now();
+  if (db) {
+    try {
+      const { getDatabase } = require('./database');
+      const pool = await getDatabase();
+      if (!pool) throw new Error('Database not initialized');
+      
+      await pool.query(`
+        INSERT INTO kol_processed_signatures (signature, kol_address, processed_at)
+        SELECT UNNEST($1::text[]), $2, $3
+        ON CONFLICT(signature, kol_address) DO NOTHING
+      `, [signatures, kolAddress, now]);
+      return;
+    } catch (error) {
+      console.error('Error marking KOL signatures as processed:', error.message);
+      throw error;
+    }
+  }
+  
+  // Fallback to JSON
+  try {
+    const processed = await readProcessedKOLSignaturesFile();
+    for (const signature of signatures) {
+      processed[`${kolAddress}:${signature}`] = now;
+    }
+    await fs.writeFile(KOL_PROCESSED_SIGNATURES_FILE, JSON.stringify(processed, null, 2), 'utf8');
+  } catch (error) {
+    console.error(`❌ Error saving processed KOL signatures:`, error.message);
+    throw error;
+  }
+}
+
+// Forget processed signatures older than the cutoff (ms timestamp) - far older than anything a backfill pages back to
+async function pruneProcessedKOLSignatures(olderThan) {
+  await ensureDatabaseInitialized();
+  if (db) {
+    try {
+      const { getDatabase } = require('./database');
+      const pool = await getDatabase();
+      if (!pool) throw new Error('Database not initialized');
+      
+      const result = await pool.query('DELETE FROM kol_processed_signatures WHERE processed_at < $1', [olderThan]);
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error pruning processed KOL signatures:', error.message);
+      return 0;
+    }
+  }
+  
+  // Fallback to JSON
+  try {
+    const processed = await readProcessedKOLSignaturesFile();
+    const kept = {};
+    for (const [key, processedAt] of Object.entries(processed)) {
+      if (processedAt >= olderThan) kept[key] = processedAt;
+    }
+    const pruned = Object.keys(processed).length - Object.keys(kept).length;
+    if (pruned > 0) {
+      await fs.writeFile(KOL_PROCESSED_SIGNATURES_FILE, JSON.stringify(kept, null, 2), 'utf8');
+    }
+    return pruned;
+  } catch (error) {
+    console.error(`❌ Error pruning processed KOL signatures:`, error.message);
+    return 0;
+  }
+}
+
 // Update KOL token balance (for buys and sells)
 async function updateKOLTokenBalance(kolAddress, tokenMint, balanceChange, signature, isFirstBuy = false, buyPrice = null, solAmount = null) {
   await ensureDatabaseInitialized();
@@ -676,6 +886,19 @@ async function updateUserPreferences(chatId, updates) {
       tokens: [],
       customTokens: [],
       trackedKOLs: [],
+      dropThresholds: {},
+      riseThresholds: {},
+      timezone: null,
+      quietHours: null,
+      updateMode: 'separate',
+      liveBoard: null,
+      plan: 'free',
+      quotaOverrides: {},
+      deliveryHealth: null,
+      kolBuyHoldSeconds: null,
+      kolAlertSources: null,
+      kolFilters: null,
+      walletLabels: {},
       interval: 1,
       createdAt: Date.now()
     };
@@ -688,13 +911,616 @@ async function updateUserPreferences(chatId, updates) {
   if (!users[chatId].trackedKOLs) {
     users[chatId].trackedKOLs = [];
   }
+  // Ensure dropThresholds exists
+  if (!users[chatId].dropThresholds) {
+    users[chatId].dropThresholds = {};
+  }
+  // Ensure riseThresholds exists
+  if (!users[chatId].riseThresholds) {
+    users[chatId].riseThresholds = {};
+  }
   Object.assign(users[chatId], updates);
   await saveUsers(users);
   return users[chatId];
 }
 
+// Price targets file (fallback)
+const TARGETS_FILE = path.join(__dirname, '..', 'targets.json');
+
+// Convert a price_targets row to a target object
+function rowToPriceTarget(row) {
+  return {
+    id: row.id,
+    chatId: row.chat_id,
+    tokenKey: row.token_key,
+    tokenType: row.token_type,
+    symbol: row.symbol,
+    metric: row.metric,
+    direction: row.direction,
+    target: parseFloat(row.target),
+    rearm: Boolean(row.rearm),
+    armed: Boolean(row.armed),
+    lastTriggeredAt: row.last_triggered_at ? parseInt(row.last_triggered_at) : null,
+    createdAt: row.created_at ? parseInt(row.created_at) : null
+  };
+}
+
+// Load price targets (all users, or only one user's if chatId is given)
+async function loadPriceTargets(chatId = null) {
+  await ensureDatabaseInitialized();
+  if (db) {
+    try {
+      const { getDatabase } = require('./database');
+      const pool = await getDatabase();
+      if (!pool) throw new Error('Database not initialized');
+      
+      const result = chatId
+        ? await pool.query('SELECT * FROM price_targets WHERE chat_id = $1 ORDER BY id', [chatId.toString()])
+        : await pool.query('SELECT * FROM price_targets ORDER BY id');
+      return result.rows.map(rowToPriceTarget);
+    } catch (error) {
+      console.error('Error loading price targets from database:', error.message);
+      return [];
+    }
+  }
+  
+  // Fallback to JSON
+  try {
+    const data = await fs.readFile(TARGETS_FILE, 'utf8');
+    const targets = JSON.parse(data);
+    return chatId ? targets.filter(t => t.chatId === chatId.toString()) : targets;
+  } catch (error) {
+    return [];
+  }
+}
+
+// Save the full list of price targets (JSON fallback only)
+async function savePriceTargetsFile(targets) {
+  try {
+    await fs.writeFile(TARGETS_FILE, JSON.stringify(targets, null, 2), 'utf8');
+  } catch (error) {
+    console.error(`❌ Error saving price targets to ${TARGETS_FILE}:`, error.message);
+    throw error;
+  }
+}
+
+// Add a price target, returns the stored target (with id)
+async function addPriceTarget(target) {
+  await ensureDatabaseInitialized();
+  const newTarget = {
+    chatId: target.chatId.toString(),
+    tokenKey: target.tokenKey,
+    tokenType: target.tokenType,
+    symbol: target.symbol || null,
+    metric: target.metric,
+    direction: target.direction,
+    target: target.target,
+    rearm: Boolean(target.rearm),
+    armed: true,
+    lastTriggeredAt: null,
+    createdAt: Date.now()
+  };
+  
+  if (db) {
+    try {
+      const { getDatabase } = require('./database');
+      const pool = await getDatabase();
+      if (!pool) throw new Error('Database not initialized');
+      
+      const result = await pool.query(`
+        INSERT INTO price_targets (chat_id, token_key, token_type, symbol, metric, direction, target, rearm, armed, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+      `, [
+        newTarget.chatId,
+        newTarget.tokenKey,
+        newTarget.tokenType,
+        newTarget.symbol,
+        newTarget.metric,
+        newTarget.direction,
+        newTarget.target,
+        newTarget.rearm,
+        newTarget.armed,
+        newTarget.createdAt
+      ]);
+      return rowToPriceTarget(result.rows[0]);
+    } catch (error) {
+      console.error('Error saving price target to database:', error.message);
+      throw error;
+    }
+  }
+  
+  // Fallback to JSON
+  const targets = await loadPriceTargets();
+  newTarget.id = targets.reduce((max, t) => Math.max(max, t.id || 0), 0) + 1;
+  targets.push(newTarget);
+  await savePriceTargetsFile(targets);
+  return newTarget;
+}
+
+// Update a price target's state (armed, lastTriggeredAt, rearm)
+async function updatePriceTarget(id, updates) {
+  await ensureDatabaseInitialized();
+  if (db) {
+    try {
+      const { getDatabase } = require('./database');
+      const pool = await getDatabase();
+      if (!pool) throw new Error('Database not initialized');
+      
+      const columns = { armed: 'armed', lastTriggeredAt: 'last_triggered_at', rearm: 'rearm' };
+      const fields = Object.keys(updates).filter(key => columns[key]);
+      if (fields.length === 0) return;
+      
+      const setClause = fields.map((key, i) => `${columns[key]} = $${i + 2}`).join(', ');
+      await pool.query(
+        `UPDATE price_targets SET ${setClause} WHERE id = $1`,
+        [id, ...fields.map(key => updates[key])]
+      );
+      return;
+    } catch (error) {
+      console.error('Error updating price target in database:', error.message);
+      return;
+    }
+  }
+  
+  // Fallback to JSON
+  const targets = await loadPriceTargets();
+  const target = targets.find(t => t.id === id);
+  if (!target) return;
+  Object.assign(target, updates);
+  await savePriceTargetsFile(targets);
+}
+
+// Delete a price target (only if it belongs to chatId, when given)
+// Returns true if a target was removed
+async function deletePriceTarget(id, chatId = null) {
+  await ensureDatabaseInitialized();
+  if (db) {
+    try {
+      const { getDatabase } = require('./database');
+      const pool = await getDatabase();
+      if (!pool) throw new Error('Database not initialized');
+      
+      const result = chatId
+        ? await pool.query('DELETE FROM price_targets WHERE id = $1 AND chat_id = $2', [id, chatId.toString()])
+        : await pool.query('DELETE FROM price_targets WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error deleting price target from database:', error.message);
+      return false;
+    }
+  }
+  
+  // Fallback to JSON
+  const targets = await loadPriceTargets();
+  const remaining = targets.filter(t => !(t.id === id && (!chatId || t.chatId === chatId.toString())));
+  if (remaining.length === targets.length) return false;
+  await savePriceTargetsFile(remaining);
+  return true;
+}
+
+// Alert state file (fallback)
+const ALERT_STATE_FILE = path.join(__dirname, '..', 'alert_state.json');
+
+// Get the alert state for a (chat, token, alert type), or null if none
+async function getAlertState(chatId, tokenKey, alertType) {
+  await ensureDatabaseInitialized();
+  if (db) {
+    try {
+      const { getDatabase } = require('./database');
+      const pool = await getDatabase();
+      if (!pool) throw new Error('Database not initialized');
+      
+      const result = await pool.query(
+        'SELECT * FROM alert_state WHERE chat_id = $1 AND token_key = $2 AND alert_type = $3',
+        [chatId.toString(), tokenKey, alertType]
+      );
+      if (result.rows.length === 0) return null;
+      
+      const row = result.rows[0];
+      return {
+        chatId: row.chat_id,
+        tokenKey: row.token_key,
+        alertType: row.alert_type,
+        active: Boolean(row.active),
+        lastAlertAt: row.last_alert_at ? parseInt(row.last_alert_at) : null,
+        alertValue: row.alert_value,
+        referenceValue: row.reference_value,
+        alertCount: row.alert_count || 0
+      };
+    } catch (error) {
+      console.error('Error loading alert state from database:', error.message);
+      return null;
+    }
+  }
+  
+  // Fallback to JSON
+  try {
+    const data = await fs.readFile(ALERT_STATE_FILE, 'utf8');
+    const states = JSON.parse(data);
+    return states[`${chatId}:${tokenKey}:${alertType}`] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Save the alert state for a (chat, token, alert type)
+async function saveAlertState(state) {
+  await ensureDatabaseInitialized();
+  if (db) {
+    try {
+      const { getDatabase } = require('./database');
+      const pool = await getDatabase();
+      if (!pool) throw new Error('Database not initialized');
+      
+      await pool.query(`
+        INSERT INTO alert_state (chat_id, token_key, alert_type, active, last_alert_at, alert_value, reference_value, alert_count)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT(chat_id, token_key, alert_type) DO UPDATE SET
+          active = EXCLUDED.active,
+          last_alert_at = EXCLUDED.last_alert_at,
+          alert_value = EXCLUDED.alert_value,
+          reference_value = EXCLUDED.reference_value,
+          alert_count = EXCLUDED.alert_count
+      `, [
+        state.chatId.toString(),
+        state.tokenKey,
+        state.alertType,
+        state.active,
+        state.lastAlertAt,
+        state.alertValue,
+        state.referenceValue,
+        state.alertCount || 0
+      ]);
+      return;
+    } catch (error) {
+      console.error('Error saving alert state to database:', error.message);
+      return;
+    }
+  }
+  
+  // Fallback to JSON
+  try {
+    let states = {};
+    try {
+      states = JSON.parse(await fs.readFile(ALERT_STATE_FILE, 'utf8'));
+    } catch (e) {
+      // File doesn't exist yet
+    }
+    states[`${state.chatId}:${state.tokenKey}:${state.alertType}`] = { ...state, chatId: state.chatId.toString() };
+    await fs.writeFile(ALERT_STATE_FILE, JSON.stringify(states, null, 2), 'utf8');
+  } catch (error) {
+    console.error(`❌ Error saving alert state to ${ALERT_STATE_FILE}:`, error.message);
+  }
+}
+
+// Registered main tokens file (fallback)
+const REGISTERED_TOKENS_FILE = path.join(__dirname, '..', 'registered_tokens.json');
+
+// Load main tokens registered at runtime (/addcoin) as { key: { id, symbol, name, addedBy, createdAt } }
+async function loadRegisteredTokens() {
+  await ensureDatabaseInitialized();
+  if (db) {
+    try {
+      const { getDatabase } = require('./database');
+      const pool = await getDatabase();
+      if (!pool) throw new Error('Database not initialized');
+      
+      const result = await pool.query('SELECT * FROM registered_tokens');
+      const tokens = {};
+      for (const row of result.rows) {
+        tokens[row.token_key] = {
+          id: row.token_key,
+          symbol: row.symbol,
+          name: row.name,
+          addedBy: row.added_by,
+          createdAt: row.created_at ? parseInt(row.created_at) : null
+        };
+      }
+      return tokens;
+    } catch (error) {
+      console.error('Error loading registered tokens from database:', error.message);
+      throw error;
+    }
+  }
+  
+  // Fallback to JSON
+  try {
+    const data = await fs.readFile(REGISTERED_TOKENS_FILE, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    return {};
+  }
+}
+
+// Save a main token registered at runtime
+async function saveRegisteredToken(token) {
+  await ensureDatabaseInitialized();
+  if (db) {
+    try {
+      const { getDatabase } = require('./database');
+      const pool = await getDatabase();
+      if (!pool) throw new Error('Database not initialized');
+      
+      await pool.query(`
+        INSERT INTO registered_tokens (token_key, symbol, name, added_by, created_at)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT(token_key) DO NOTHING
+      `, [token.id, token.symbol, token.name, token.addedBy ? token.addedBy.toString() : null, token.createdAt || Date.now()]);
+      return;
+    } catch (error) {
+      console.error('Error saving registered token to database:', error.message);
+      throw error;
+    }
+  }
+  
+  // Fallback to JSON
+  try {
+    const tokens = await loadRegisteredTokens();
+    tokens[token.id] = token;
+    await fs.writeFile(REGISTERED_TOKENS_FILE, JSON.stringify(tokens, null, 2), 'utf8');
+  } catch (error) {
+    console.error(`❌ Error saving registered tokens to ${REGISTERED_TOKENS_FILE}:`, error.message);
+    throw error;
+  }
+}
+
+// Digest queue file (fallback)
+const DIGEST_QUEUE_FILE = path.join(__dirname, '..', 'digest_queue.json');
+
+// Read the digest queue fallback file
+async function readDigestQueueFile() {
+  try {
+    return JSON.parse(await fs.readFile(DIGEST_QUEUE_FILE, 'utf8'));
+  } catch (error) {
+    return [];
+  }
+}
+
+// Queue a non-critical alert for the user's morning digest
+async function addDigestItem(chatId, alertType, summary) {
+  const item = {
+    chatId: chatId.toString(),
+    alertType,
+    summary,
+    createdAt: Date.now()
+  };
+  
+  await ensureDatabaseInitialized();
+  if (db) {
+    try {
+      const { getDatabase } = require('./database');
+      const pool = await getDatabase();
+      if (!pool) throw new Error('Database not initialized');
+      
+      await pool.query(
+        'INSERT INTO digest_queue (chat_id, alert_type, summary, created_at) VALUES ($1, $2, $3, $4)',
+        [item.chatId, item.alertType, item.summary, item.createdAt]
+      );
+      return;
+    } catch (error) {
+      console.error('Error saving digest item to database:', error.message);
+      return;
+    }
+  }
+  
+  // Fallback to JSON
+  try {
+    const items = await readDigestQueueFile();
+    items.push(item);
+    await fs.writeFile(DIGEST_QUEUE_FILE, JSON.stringify(items, null, 2), 'utf8');
+  } catch (error) {
+    console.error(`❌ Error saving digest queue to ${DIGEST_QUEUE_FILE}:`, error.message);
+  }
+}
+
+// Load queued digest items, oldest first (all users, or one user's)
+async function loadDigestItems(chatId = null) {
+  await ensureDatabaseInitialized();
+  if (db) {
+    try {
+      const { getDatabase } = require('./database');
+      const pool = await getDatabase();
+      if (!pool) throw new Error('Database not initialized');
+      
+      const result = chatId
+        ? await pool.query('SELECT * FROM digest_queue WHERE chat_id = $1 ORDER BY created_at ASC', [chatId.toString()])
+        : await pool.query('SELECT * FROM digest_queue ORDER BY created_at ASC');
+      return result.rows.map(row => ({
+        chatId: row.chat_id,
+        alertType: row.alert_type,
+        summary: row.summary,
+        createdAt: parseInt(row.created_at)
+      }));
+    } catch (error) {
+      console.error('Error loading digest items from database:', error.message);
+      return [];
+    }
+  }
+  
+  // Fallback to JSON
+  const items = await readDigestQueueFile();
+  return chatId ? items.filter(item => item.chatId === chatId.toString()) : items;
+}
+
+// Remove all queued digest items for a user (after the digest was sent)
+async function clearDigestItems(chatId) {
+  await ensureDatabaseInitialized();
+  if (db) {
+    try {
+      const { getDatabase } = require('./database');
+      const pool = await getDatabase();
+      if (!pool) throw new Error('Database not initialized');
+      
+      await pool.query('DELETE FROM digest_queue WHERE chat_id = $1', [chatId.toString()]);
+      return;
+    } catch (error) {
+      console.error('Error clearing digest items in database:', error.message);
+      return;
+    }
+  }
+  
+  // Fallback to JSON
+  try {
+    const items = await readDigestQueueFile();
+    const remaining = items.filter(item => item.chatId !== chatId.toString());
+    await fs.writeFile(DIGEST_QUEUE_FILE, JSON.stringify(remaining, null, 2), 'utf8');
+  } catch (error) {
+    console.error(`❌ Error saving digest queue to ${DIGEST_QUEUE_FILE}:`, error.message);
+  }
+}
+
+// Pending KOL buy alerts file (fallback)
+const PENDING_KOL_ALERTS_FILE = path.join(__dirname, '..', 'pending_kol_alerts.json');
+
+// Read the pending KOL buy alerts fallback file
+async function readPendingKOLAlertsFile() {
+  try {
+    return JSON.parse(await fs.readFile(PENDING_KOL_ALERTS_FILE, 'utf8'));
+  } catch (error) {
+    return [];
+  }
+}
+
+// Convert a pending_kol_alerts row to a pending alert object
+function rowToPendingKOLAlert(row) {
+  return {
+    id: row.id,
+    chatId: row.chat_id,
+    kolAddress: row.kol_address,
+    tokenMint: row.token_mint,
+    buyTimestamp: parseInt(row.buy_timestamp),
+    holdSeconds: row.hold_seconds,
+    dueAt: parseInt(row.due_at),
+    message: row.message,
+    summary: row.summary,
+    imageUrl: row.image_url || null,
+    signatures: JSON.parse(row.signatures || '[]'),
+    kolCount: row.kol_count || 0,
+    goodToken: Boolean(row.good_token),
+    createdAt: row.created_at ? parseInt(row.created_at) : null
+  };
+}
+
+// Queue a delayed KOL buy alert for one user (sent once dueAt has passed)
+// Throws if it couldn't be stored, so the caller doesn't treat the buy as alerted
+async function addPendingKOLAlert(alert) {
+  const item = {
+    chatId: alert.chatId.toString(),
+    kolAddress: alert.kolAddress,
+    tokenMint: alert.tokenMint,
+    buyTimestamp: alert.buyTimestamp,
+    holdSeconds: alert.holdSeconds,
+    dueAt: alert.buyTimestamp + alert.holdSeconds * 1000,
+    message: alert.message,
+    summary: alert.summary,
+    imageUrl: alert.imageUrl || null,
+    signatures: alert.signatures || [],
+    kolCount: alert.kolCount || 0,
+    goodToken: Boolean(alert.goodToken),
+    createdAt: Date.now()
+  };
+  
+  await ensureDatabaseInitialized();
+  if (db) {
+    try {
+      const { getDatabase } = require('./database');
+      const pool = await getDatabase();
+      if (!pool) throw new Error('Database not initialized');
+      
+      const result = await pool.query(`
+        INSERT INTO pending_kol_alerts (chat_id, kol_address, token_mint, buy_timestamp, hold_seconds, due_at, message, summary, image_url, signatures, kol_count, good_token, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING *
+      `, [
+        item.chatId,
+        item.kolAddress,
+        item.tokenMint,
+        item.buyTimestamp,
+        item.holdSeconds,
+        item.dueAt,
+        item.message,
+        item.summary,
+        item.imageUrl,
+        JSON.stringify(item.signatures),
+        item.kolCount,
+        item.goodToken,
+        item.createdAt
+      ]);
+      return rowToPendingKOLAlert(result.rows[0]);
+    } catch (error) {
+      console.error('Error saving pending KOL alert to database:', error.message);
+      throw error;
+    }
+  }
+  
+  // Fallback to JSON
+  try {
+    const items = await readPendingKOLAlertsFile();
+    item.id = items.reduce((max, i) => Math.max(max, i.id || 0), 0) + 1;
+    items.push(item);
+    await fs.writeFile(PENDING_KOL_ALERTS_FILE, JSON.stringify(items, null, 2), 'utf8');
+    return item;
+  } catch (error) {
+    console.error(`❌ Error saving pending KOL alerts to ${PENDING_KOL_ALERTS_FILE}:`, error.message);
+    throw error;
+  }
+}
+
+// Load pending KOL buy alerts that are due by `now`, oldest first
+async function loadDuePendingKOLAlerts(now = Date.now()) {
+  await ensureDatabaseInitialized();
+  if (db) {
+    try {
+      const { getDatabase } = require('./database');
+      const pool = await getDatabase();
+      if (!pool) throw new Error('Database not initialized');
+      
+      const result = await pool.query('SELECT * FROM pending_kol_alerts WHERE due_at <= $1 ORDER BY due_at ASC, id ASC', [now]);
+      return result.rows.map(rowToPendingKOLAlert);
+    } catch (error) {
+      console.error('Error loading pending KOL alerts from database:', error.message);
+      return [];
+    }
+  }
+  
+  // Fallback to JSON
+  const items = await readPendingKOLAlertsFile();
+  return items
+    .filter(item => item.dueAt <= now)
+    .sort((a, b) => a.dueAt - b.dueAt || a.id - b.id);
+}
+
+// Remove a pending KOL buy alert once it was delivered (or dropped)
+async function deletePendingKOLAlert(id) {
+  await ensureDatabaseInitialized();
+  if (db) {
+    try {
+      const { getDatabase } = require('./database');
+      const pool = await getDatabase();
+      if (!pool) throw new Error('Database not initialized');
+      
+      await pool.query('DELETE FROM pending_kol_alerts WHERE id = $1', [id]);
+      return;
+    } catch (error) {
+      console.error('Error deleting pending KOL alert from database:', error.message);
+      return;
+    }
+  }
+  
+  // Fallback to JSON
+  try {
+    const items = await readPendingKOLAlertsFile();
+    const remaining = items.filter(item => item.id !== id);
+    await fs.writeFile(PENDING_KOL_ALERTS_FILE, JSON.stringify(remaining, null, 2), 'utf8');
+  } catch (error) {
+    console.error(`❌ Error saving pending KOL alerts to ${PENDING_KOL_ALERTS_FILE}:`, error.message);
+  }
+}
+
 // Save transaction to kol_transactions table for pattern analysis
-async function saveKOLTransaction(signature, kolAddress, tokenMint, transactionType, tokenAmount, solAmount, tokenPrice, timestamp, marketCap = null) {
+// venue/route: where the swap executed (see utils/swapParser.js), route is stored as a JSON array
+async function saveKOLTransaction(signature, kolAddress, tokenMint, transactionType, tokenAmount, solAmount, tokenPrice, timestamp, marketCap = null, venue = null, route = null) {
   await ensureDatabaseInitialized();
   if (db) {
     try {
@@ -704,14 +1530,16 @@ async function saveKOLTransaction(signature, kolAddress, tokenMint, transactionT
       
       await pool.query(`
         INSERT INTO kol_transactions 
-        (signature, kol_address, token_mint, transaction_type, token_amount, sol_amount, token_price, market_cap, timestamp)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        (signature, kol_address, token_mint, transaction_type, token_amount, sol_amount, token_price, market_cap, venue, route, timestamp)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
         ON CONFLICT(signature) DO UPDATE SET
           token_amount = EXCLUDED.token_amount,
           sol_amount = EXCLUDED.sol_amount,
           token_price = EXCLUDED.token_price,
-          market_cap = EXCLUDED.market_cap
-      `, [signature, kolAddress, tokenMint, transactionType, tokenAmount, solAmount, tokenPrice || null, marketCap, timestamp]);
+          market_cap = EXCLUDED.market_cap,
+          venue = EXCLUDED.venue,
+          route = EXCLUDED.route
+      `, [signature, kolAddress, tokenMint, transactionType, tokenAmount, solAmount, tokenPrice || null, marketCap, venue, route && route.length > 0 ? JSON.stringify(route) : null, timestamp]);
       return;
     } catch (error) {
       console.error('Error saving KOL transaction:', error.message);
@@ -889,7 +1717,8 @@ async function analyzeTokenPattern(tokenMint) {
         LIMIT 100
       `, [tokenMint]);
       
-      const transactions = result.rows;
+      // Wallets added with /trackwallet are private - only curated KOLs shape the shared pattern
+      const transactions = result.rows.filter(tx => KOL_ADDRESSES[tx.kol_address]);
       if (transactions.length === 0) return null;
       
       // Group by KOL
@@ -1782,7 +2611,8 @@ async function generateLeaderboard(periodType, limit = 50) {
       WHERE timestamp >= $1
     `, [periodStart]);
     
-    const kols = kolResult.rows.map(r => r.kol_address);
+    // Only curated KOLs are ranked - wallets added with /trackwallet stay private to their trackers
+    const kols = kolResult.rows.map(r => r.kol_address).filter(address => KOL_ADDRESSES[address]);
     const performances = [];
     
     // Calculate performance for each KOL
@@ -1921,6 +2751,7 @@ module.exports = {
   saveUsers,
   loadPriceHistory,
   savePriceHistory,
+  appendPriceHistory,
   getUserCount,
   getActiveUserCount,
   isNewUser,
@@ -1929,12 +2760,29 @@ module.exports = {
   setTempFlag,
   getTempFlag,
   clearTempFlag,
+  loadPriceTargets,
+  addPriceTarget,
+  updatePriceTarget,
+  deletePriceTarget,
+  getAlertState,
+  saveAlertState,
+  loadRegisteredTokens,
+  saveRegisteredToken,
+  addDigestItem,
+  loadDigestItems,
+  clearDigestItems,
+  addPendingKOLAlert,
+  loadDuePendingKOLAlerts,
+  deletePendingKOLAlert,
   loadKOLSignatures,
   saveKOLSignature,
   getKOLTokenBalance,
   updateKOLTokenBalance,
   hasAlertedOnTransaction,
   markTransactionAsAlerted,
+  getProcessedKOLSignatures,
+  markKOLSignaturesProcessed,
+  pruneProcessedKOLSignatures,
   getKOLCountForToken,
   getKOLsForToken,
   saveKOLTransaction,
@@ -0,0 +1,191 @@
+const { WSOL_MINT, STABLECOIN_MINTS } = require('../config/solana');
+const { DEX_PROGRAMS } = require('../config/dexes');
+
+const LAMPORTS_PER_SOL = 1e9;
+
+// Smallest SOL move that counts as a trade (anything below is rounding, not a swap)
+const MIN_SWAP_SOL = 0.000001;
+
+function getSignature(tx) {
+  return tx.signature || tx.transaction?.signatures?.[0] || tx.transaction?.signature || tx.txHash || null;
+}
+
+// Raw integer token amount -> decimal-adjusted amount
+function toUiAmount(rawTokenAmount) {
+  if (!rawTokenAmount) return 0;
+  const amount = parseFloat(rawTokenAmount.tokenAmount || 0);
+  return amount / Math.pow(10, rawTokenAmount.decimals || 0);
+}
+
+function addTokenDelta(tokens, mint, delta) {
+  tokens[mint] = (tokens[mint] || 0) + delta;
+}
+
+// Wallet balance deltas from Helius accountData (the pre/post balances of every account the transaction touched)
+// SOL is the wallet's lamport change plus the change of every token account it owns:
+// - WSOL accounts hold their wrapped SOL as lamports, so wrapping, spending and unwrapping all net out
+// - rent paid into a new token account (or refunded when one is closed) isn't money spent on the trade
+// The network fee is added back when the wallet paid it
+function getDeltasFromAccountData(tx, wallet) {
+  const tokens = {};
+  const walletTokenAccounts = new Set();
+
+  for (const data of tx.accountData) {
+    for (const change of data.tokenBalanceChanges || []) {
+      if (change.userAccount !== wallet) continue;
+      if (change.tokenAccount) walletTokenAccounts.add(change.tokenAccount);
+      // WSOL is already counted through the token account's lamports
+      if (change.mint === WSOL_MINT) continue;
+      addTokenDelta(tokens, change.mint, toUiAmount(change.rawTokenAmount));
+    }
+  }
+
+  let lamports = 0;
+  for (const data of tx.accountData) {
+    if (data.account === wallet || walletTokenAccounts.has(data.account)) {
+      lamports += data.nativeBalanceChange || 0;
+    }
+  }
+  if (tx.feePayer === wallet) {
+    lamports += tx.fee || 0;
+  }
+
+  return { sol: lamports / LAMPORTS_PER_SOL, tokens };
+}
+
+// Fallback for payloads without accountData: rebuild the deltas from the transfer lists
+// SOL moved between the wallet and its own token accounts is wrapping, not trading, so it's skipped
+function getDeltasFromTransfers(tx, wallet) {
+  const tokenTransfers = Array.isArray(tx.tokenTransfers) ? tx.tokenTransfers : [];
+  const nativeTransfers = Array.isArray(tx.nativeTransfers) ? tx.nativeTransfers : [];
+  const tokens = {};
+  const walletTokenAccounts = new Set();
+  let sol = 0;
+
+  for (const transfer of tokenTransfers) {
+    if (transfer.fromUserAccount === wallet && transfer.fromTokenAccount) walletTokenAccounts.add(transfer.fromTokenAccount);
+    if (transfer.toUserAccount === wallet && transfer.toTokenAccount) walletTokenAccounts.add(transfer.toTokenAccount);
+  }
+
+  for (const transfer of nativeTransfers) {
+    const from = transfer.fromUserAccount || transfer.from;
+    const to = transfer.toUserAccount || transfer.to;
+    const amount = parseFloat(transfer.amount || 0) / LAMPORTS_PER_SOL;
+    if (from === wallet && !walletTokenAccounts.has(to)) sol -= amount;
+    if (to === wallet && !walletTokenAccounts.has(from)) sol += amount;
+  }
+
+  for (const transfer of tokenTransfers) {
+    const mint = transfer.mint || transfer.tokenAddress;
+    if (!mint) continue;
+    const amount = parseFloat(transfer.tokenAmount || transfer.amount || 0);
+    const from = transfer.fromUserAccount || transfer.from;
+    const to = transfer.toUserAccount || transfer.to;
+    const delta = (to === wallet ? amount : 0) - (from === wallet ? amount : 0);
+    if (delta === 0) continue;
+
+    if (mint === WSOL_MINT) {
+      sol += delta;
+    } else {
+      addTokenDelta(tokens, mint, delta);
+    }
+  }
+
+  return { sol, tokens };
+}
+
+// Venues an aggregator instruction routed through, in order (consecutive hops on the same venue collapse)
+function getAggregatorRoute(instruction) {
+  const route = [];
+  for (const inner of instruction.innerInstructions || []) {
+    const program = DEX_PROGRAMS[inner.programId];
+    if (!program || program.aggregator) continue;
+    if (route[route.length - 1] !== program.venue) route.push(program.venue);
+  }
+  return route;
+}
+
+// Work out where a swap happened from the programs it invoked
+// Top-level DEX instructions win; otherwise the first DEX called from a router/bot program (e.g. Axiom, Photon)
+// Returns { venue, route } - route lists the underlying venues (just [venue] for a direct swap) - or null
+function decodeVenue(tx) {
+  const instructions = Array.isArray(tx.instructions) ? tx.instructions : [];
+
+  const decode = (instruction) => {
+    const program = DEX_PROGRAMS[instruction.programId];
+    if (!program) return null;
+    if (program.aggregator) {
+      return { venue: program.venue, route: getAggregatorRoute(instruction) };
+    }
+    return { venue: program.venue, route: [program.venue] };
+  };
+
+  for (const instruction of instructions) {
+    const decoded = decode(instruction);
+    if (decoded) return decoded;
+  }
+  for (const instruction of instructions) {
+    for (const inner of instruction.innerInstructions || []) {
+      const decoded = decode(inner);
+      if (decoded) return decoded;
+    }
+  }
+  return null;
+}
+
+// Human-readable venue, e.g. "pump.fun" or "Jupiter (Raydium AMM → Meteora DLMM)"
+function formatVenue(venue, route = []) {
+  const label = (key) => Object.values(DEX_PROGRAMS).find(program => program.venue === key)?.label || key;
+  if (!venue) return null;
+  if (route.length > 0 && (route.length > 1 || route[0] !== venue)) {
+    return `${label(venue)} (${route.map(label).join(' → ')})`;
+  }
+  return label(venue);
+}
+
+// Parse a Helius enhanced transaction into a swap for the given wallet
+// Buy: SOL out, token in. Sell: token out, SOL in. Anything else (transfers, airdrops, token->token) is null
+// Returns { signature, timestamp, type, tokenMint, tokenAmount, solAmount, solReceived, venue, route, owner } or null
+function parseSwap(tx, wallet) {
+  if (!tx || !wallet) return null;
+
+  // Failed transactions still pay fees but don't move tokens
+  if (tx.transactionError || tx.error || tx.type === 'FAILED') return null;
+
+  const { sol, tokens } = Array.isArray(tx.accountData) && tx.accountData.length > 0
+    ? getDeltasFromAccountData(tx, wallet)
+    : getDeltasFromTransfers(tx, wallet);
+
+  if (Math.abs(sol) < MIN_SWAP_SOL) return null;
+
+  // The traded token moves the opposite way to SOL
+  const type = sol < 0 ? 'buy' : 'sell';
+  const traded = Object.entries(tokens).find(([mint, delta]) => {
+    if (STABLECOIN_MINTS.includes(mint)) return false;
+    return type === 'buy' ? delta > 0 : delta < 0;
+  });
+  if (!traded) return null;
+
+  const [tokenMint, tokenDelta] = traded;
+  const solAmount = Math.abs(sol);
+  const venue = decodeVenue(tx);
+
+  return {
+    signature: getSignature(tx) || '',
+    timestamp: tx.timestamp ? new Date(tx.timestamp * 1000) : new Date(),
+    type, // 'buy' or 'sell'
+    tokenMint,
+    tokenAmount: Math.abs(tokenDelta),
+    solAmount,
+    solReceived: type === 'sell' ? solAmount : 0, // SOL received, for PnL on sells
+    venue: venue ? venue.venue : null, // e.g. 'pumpfun', 'jupiter' (null if no known DEX program was invoked)
+    route: venue ? venue.route : [], // underlying venues, e.g. ['raydium_amm', 'meteora_dlmm'] for a Jupiter route
+    owner: null
+  };
+}
+
+module.exports = {
+  parseSwap,
+  decodeVenue,
+  formatVenue
+};
@@ -0,0 +1,80 @@
+const { DEFAULT_TIMEZONE } = require('../config/alerts');
+
+// Check that a timezone is a valid IANA name (e.g. "Europe/London", "America/New_York")
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Get local (user timezone) and UTC HH:MM:SS strings for message timestamps
+function getDisplayTimes(timezone, date = new Date()) {
+  const zone = isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  const localTime = new Intl.DateTimeFormat('en-US', {
+    timeZone: zone,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  }).format(date);
+  const utcTime = date.toUTCString().split(' ')[4]; // Extract time from UTC string
+  return { localTime, utcTime };
+}
+
+// Minutes since local midnight in the given timezone
+function getLocalMinutes(timezone, date = new Date()) {
+  const zone = isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: zone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const hour = parseInt(parts.find(p => p.type === 'hour').value);
+  const minute = parseInt(parts.find(p => p.type === 'minute').value);
+  return hour * 60 + minute;
+}
+
+// Parse "23:00", "7:30" or "7" into minutes since midnight (null if invalid)
+function parseTimeOfDay(text) {
+  const match = (text || '').trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+  if (!match) return null;
+  const hour = parseInt(match[1]);
+  const minute = match[2] ? parseInt(match[2]) : 0;
+  if (hour > 23 || minute > 59) return null;
+  return hour * 60 + minute;
+}
+
+// Format minutes since midnight as "HH:MM"
+function formatTimeOfDay(minutes) {
+  const hour = Math.floor(minutes / 60);
+  const minute = minutes % 60;
+  return `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
+}
+
+// Is the user inside their quiet hours right now?
+// quietHours is { start, end } in minutes since local midnight, and may wrap past midnight
+function isInQuietHours(userPrefs, date = new Date()) {
+  const quietHours = userPrefs?.quietHours;
+  if (!quietHours || quietHours.start === undefined || quietHours.end === undefined || quietHours.start === quietHours.end) {
+    return false;
+  }
+  const now = getLocalMinutes(userPrefs.timezone, date);
+  if (quietHours.start < quietHours.end) {
+    return now >= quietHours.start && now < quietHours.end;
+  }
+  return now >= quietHours.start || now < quietHours.end;
+}
+
+module.exports = {
+  isValidTimezone,
+  getDisplayTimes,
+  getLocalMinutes,
+  parseTimeOfDay,
+  formatTimeOfDay,
+  isInQuietHours
+};
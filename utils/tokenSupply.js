@@ -0,0 +1,84 @@
+const http = require('./http');
+const { SOLANA_RPC_URL, PUMP_FUN_TOKEN_SUPPLY, PUMP_FUN_TOKEN_DECIMALS, TOKEN_SUPPLY_CACHE_HOURS } = require('../config/solana');
+
+// Token supply cache - { [mint]: { data: { supply, decimals }, timestamp } }
+const supplyCache = {};
+const SUPPLY_CACHE_TTL = TOKEN_SUPPLY_CACHE_HOURS * 60 * 60 * 1000;
+const pendingSupplyFetches = {}; // mint -> promise, so concurrent callers share one RPC call
+
+// Fetch supply and decimals for a mint via RPC getTokenSupply
+async function fetchTokenSupply(mint) {
+  const response = await http.post(SOLANA_RPC_URL, {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'getTokenSupply',
+    params: [mint]
+  }, {
+    headers: { 'Content-Type': 'application/json' },
+    timeout: 10000
+  });
+  
+  if (response.data?.error) {
+    throw new Error(response.data.error.message || 'getTokenSupply failed');
+  }
+  
+  const value = response.data?.result?.value;
+  if (!value || value.amount === undefined) return null;
+  
+  // amount is the raw integer supply, uiAmountString the decimal-adjusted one
+  const supply = value.uiAmountString !== undefined
+    ? parseFloat(value.uiAmountString)
+    : parseFloat(value.amount) / Math.pow(10, value.decimals);
+  return { supply, decimals: value.decimals };
+}
+
+// Get the circulating supply (decimal-adjusted) and decimals of a Solana mint
+// pump.fun mints use the known 1B supply, everything else asks the RPC (cached per mint)
+// Returns { supply, decimals } or null if it couldn't be resolved
+async function getTokenSupply(mint) {
+  if (!mint) return null;
+  
+  if (mint.endsWith('pump')) {
+    return { supply: PUMP_FUN_TOKEN_SUPPLY, decimals: PUMP_FUN_TOKEN_DECIMALS };
+  }
+  
+  const cached = supplyCache[mint];
+  if (cached && Date.now() - cached.timestamp < SUPPLY_CACHE_TTL) {
+    return cached.data;
+  }
+  
+  if (!pendingSupplyFetches[mint]) {
+    pendingSupplyFetches[mint] = (async () => {
+      try {
+        const data = await fetchTokenSupply(mint);
+        if (data) {
+          supplyCache[mint] = { data, timestamp: Date.now() };
+        }
+        return data;
+      } catch (error) {
+        console.error(`Error fetching token supply for ${mint}:`, error.message);
+        // Supply rarely changes, an expired value is still fine
+        return cached ? cached.data : null;
+      } finally {
+        delete pendingSupplyFetches[mint];
+      }
+    })();
+  }
+  return await pendingSupplyFetches[mint];
+}
+
+// Market cap for a Solana token from its price and real supply
+// Returns null if the price is invalid or the supply is unknown
+async function getMarketCapFromPrice(mint, price) {
+  const priceNum = parseFloat(price);
+  if (isNaN(priceNum) || priceNum <= 0) return null;
+  
+  const supplyData = await getTokenSupply(mint);
+  if (!supplyData || !supplyData.supply) return null;
+  return priceNum * supplyData.supply;
+}
+
+module.exports = {
+  getTokenSupply,
+  getMarketCapFromPrice
+};